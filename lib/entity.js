@@ -12,6 +12,7 @@
 
     var datastoreSerializer = require('./serializer').Datastore;
     const defaultValues = require('./helpers/defaultValues');
+    const castHelpers   = require('./helpers/cast');
     var GstoreError     = require('./error.js');
 
     class Entity extends EventEmitter {
@@ -57,7 +58,15 @@
                 this.addVirtuals(this.entityData);
             }
 
-            var data = datastoreSerializer.fromDatastore.call(this, this.entityData, readAll);
+            let entityData = this.entityData;
+
+            // Data of the referenced entities (populate option) in place of their Key
+            if (this.populated) {
+                entityData = extend({}, entityData, this.populated);
+                entityData[this.gstore.ds.KEY] = this.entityKey;
+            }
+
+            var data = datastoreSerializer.fromDatastore.call(this, entityData, readAll);
 
             return data;
         };
@@ -66,6 +75,9 @@
             if (this.schema.virtuals.hasOwnProperty(path)) {
                 return this.schema.virtuals[path].applyGetters(this.entityData);
             }
+            if (this.populated && this.populated.hasOwnProperty(path)) {
+                return this.populated[path];
+            }
             return this.entityData[path];
         }
 
@@ -73,6 +85,9 @@
             if (this.schema.virtuals.hasOwnProperty(path)) {
                 return this.schema.virtuals[path].applySetters(value, this.entityData);
             }
+            if (this.populated) {
+                delete this.populated[path];
+            }
             this.entityData[path] = value;
         }
 
@@ -165,32 +180,67 @@
 
         //set default values & excludedFromIndex
         Object.keys(schema.paths).forEach((k) => {
-            if (!entityData.hasOwnProperty(k) && (!schema.paths[k].hasOwnProperty('optional') || schema.paths[k].optional === false)) {
-                let value = schema.paths[k].hasOwnProperty('default') ? schema.paths[k].default : null;
-
-                if (({}).hasOwnProperty.call(defaultValues.__map__, value)) {
-                    /**
-                     * If default value is in the gstore.defaultValue map
-                     * then execute the handler for that shortcut
-                     */
-                    value = defaultValues.__handler__(value);
-                } else if (value === null && schema.paths[k].hasOwnProperty('values')) {
-                    value = schema.paths[k].values[0];
-                }
+            setDefaultValue(entityData, k, schema.paths[k]);
 
-                entityData[k] = value; 
-            }
             if (schema.paths[k].excludeFromIndexes === true) {
                 self.excludeFromIndexes.push(k);
             }
         });
 
+        // cast values to their Schema type
+        castHelpers.cast(entityData, schema, self.gstore, self.entityKey.namespace);
+
         // add Symbol Key to data
         entityData[self.gstore.ds.KEY] = self.entityKey;
 
         return entityData;
     }
 
+    function setDefaultValue(data, k, pathDef) {
+        if (!data.hasOwnProperty(k) && (!pathDef.hasOwnProperty('optional') || pathDef.optional === false)) {
+            let value = pathDef.hasOwnProperty('default') ? pathDef.default : null;
+
+            if (({}).hasOwnProperty.call(defaultValues.__map__, value)) {
+                /**
+                 * If default value is in the gstore.defaultValue map
+                 * then execute the handler for that shortcut
+                 */
+                value = defaultValues.__handler__(value);
+            } else if (value === null && pathDef.hasOwnProperty('values')) {
+                value = pathDef.values[0];
+            }
+
+            data[k] = value;
+        }
+
+        if (data.hasOwnProperty(k)) {
+            data[k] = embeddedWithDefaults(data[k], pathDef);
+        }
+    }
+
+    /**
+     * Embedded entities (and arrays of embedded entities) are copied,
+     * not to mutate the data passed, and their default values are set
+     */
+    function embeddedWithDefaults(value, pathDef) {
+        if (is.object(pathDef.items) && is.array(value)) {
+            return value.map((item) => {
+                return embeddedWithDefaults(item, pathDef.items);
+            });
+        }
+
+        if (is.object(pathDef.type) && pathDef.type.instanceOfSchema && is.object(value)) {
+            const embedded = pathDef.type;
+            value = extend({}, value);
+
+            Object.keys(embedded.paths).forEach((p) => {
+                setDefaultValue(value, p, embedded.paths[p]);
+            });
+        }
+
+        return value;
+    }
+
     function registerHooksFromSchema(self) {
         var queue = self.schema && self.schema.callQueue;
         if (!queue.length) {
@@ -17,6 +17,22 @@ class GstoreError extends Error {
     static get ValidatorError() {
         return require('./error/validator');
     }
+
+    static get ConcurrencyError() {
+        return require('./error/concurrency');
+    }
+
+    static get AlreadyExistsError() {
+        return require('./error/alreadyExists');
+    }
+
+    static get NotFoundError() {
+        return require('./error/notFound');
+    }
+
+    static get UniqueConstraintError() {
+        return require('./error/uniqueConstraint');
+    }
 }
 
 module.exports = exports = GstoreError;
@@ -0,0 +1,22 @@
+'use strict';
+
+var GstoreError = require('../error.js');
+
+class AlreadyExistsError extends GstoreError {
+    /**
+     * @param entityKey : gcloud Key of the entity
+     */
+    constructor(entityKey) {
+        if (entityKey && entityKey.constructor.name === 'Key') {
+            super(entityKey.kind + ' {' + entityKey.path[entityKey.path.length - 1] + '} already exists');
+        } else {
+            super('Entity already exists');
+        }
+        this.name = 'AlreadyExistsError';
+
+        this.code      = 409;
+        this.entityKey = entityKey;
+    }
+}
+
+module.exports = exports = AlreadyExistsError;
@@ -0,0 +1,27 @@
+'use strict';
+
+var GstoreError = require('../error.js');
+
+class ConcurrencyError extends GstoreError {
+    /**
+     * @param entityKey : gcloud Key of the entity
+     * @param version : version of the data saved
+     * @param currentVersion : version of the entity in the Datastore
+     */
+    constructor(entityKey, version, currentVersion) {
+        if (entityKey && entityKey.constructor.name === 'Key') {
+            super(entityKey.kind + ' {' + entityKey.path[entityKey.path.length - 1] + '} has been modified. ' +
+                'Version ' + version + ' is stale, current version is ' + currentVersion);
+        } else {
+            super('Entity has been modified');
+        }
+        this.name = 'ConcurrencyError';
+        this.code = 409;
+
+        this.entityKey      = entityKey;
+        this.version        = version;
+        this.currentVersion = currentVersion;
+    }
+}
+
+module.exports = exports = ConcurrencyError;
@@ -0,0 +1,22 @@
+'use strict';
+
+var GstoreError = require('../error.js');
+
+class NotFoundError extends GstoreError {
+    /**
+     * @param entityKey : gcloud Key of the entity
+     */
+    constructor(entityKey) {
+        if (entityKey && entityKey.constructor.name === 'Key' && (entityKey.id || entityKey.name)) {
+            super(entityKey.kind + ' {' + (entityKey.id || entityKey.name) + '} not found');
+        } else {
+            super('Entity not found');
+        }
+        this.name = 'NotFoundError';
+
+        this.code      = 404;
+        this.entityKey = entityKey;
+    }
+}
+
+module.exports = exports = NotFoundError;
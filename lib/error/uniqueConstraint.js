@@ -0,0 +1,30 @@
+'use strict';
+
+var GstoreError = require('../error.js');
+
+class UniqueConstraintError extends GstoreError {
+    /**
+     * @param path : Schema path declaring the constraint
+     * @param paths : paths of the constraint (more than one for compound constraints)
+     * @param values : values of the paths
+     * @param entityKey : gcloud Key of the entity owning the value
+     */
+    constructor(path, paths, values, entityKey) {
+        paths = paths || [path];
+
+        if (paths.length > 1) {
+            super('Unique constraint violation on {' + path + '}, the combination of ' + paths.join(', ') + ' already exists');
+        } else {
+            super('Unique constraint violation on {' + path + '}, the value already exists');
+        }
+        this.name = 'UniqueConstraintError';
+
+        this.code      = 409;
+        this.path      = path;
+        this.paths     = paths;
+        this.values    = values;
+        this.entityKey = entityKey;
+    }
+}
+
+module.exports = exports = UniqueConstraintError;
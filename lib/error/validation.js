@@ -3,7 +3,11 @@
 var GstoreError = require('../error.js');
 
 class ValidationError extends GstoreError {
-    constructor(instance) {
+    /**
+     * @param instance : entity instance or error data
+     * @param errors (optional) : map of ValidatorError keyed by property path
+     */
+    constructor(instance, errors) {
         if (instance && instance.constructor.entityKind) {
             super(instance.constructor.entityKind + ' validation failed');
         } else if (instance && instance.constructor.name === 'Object') {
@@ -12,6 +16,10 @@ class ValidationError extends GstoreError {
             super('Validation failed');
         }
         this.name = 'ValidationError';
+
+        if (errors) {
+            this.errors = errors;
+        }
     }
 }
 
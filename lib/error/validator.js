@@ -7,6 +7,13 @@ class ValidatorError extends GstoreError {
         if (data && data.constructor.name === 'Object') {
             data.errorName = data.errorName || 'Wrong format';
             super(data);
+
+            // Expose the details of the failing rule on the error
+            ['code', 'rule', 'path', 'value'].forEach((k) => {
+                if (data.hasOwnProperty(k)) {
+                    this[k] = data[k];
+                }
+            });
         } else {
             super('Value validation failed');
         }
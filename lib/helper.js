@@ -2,3 +2,31 @@
 var queryHelpers = require('./helpers/queryhelpers');
 
 exports.QueryHelpers = queryHelpers;
+
+var validationHelpers = require('./helpers/validation');
+
+exports.ValidationHelpers = validationHelpers;
+
+var castHelpers = require('./helpers/cast');
+
+exports.CastHelpers = castHelpers;
+
+var populateHelpers = require('./helpers/populate');
+
+exports.PopulateHelpers = populateHelpers;
+
+var updateHelpers = require('./helpers/update');
+
+exports.UpdateHelpers = updateHelpers;
+
+var retryHelpers = require('./helpers/retry');
+
+exports.RetryHelpers = retryHelpers;
+
+var uniqueHelpers = require('./helpers/unique');
+
+exports.UniqueHelpers = uniqueHelpers;
+
+var keyHelpers = require('./helpers/key');
+
+exports.KeyHelpers = keyHelpers;
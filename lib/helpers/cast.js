@@ -0,0 +1,152 @@
+'use strict';
+
+const moment = require('moment');
+const is     = require('is');
+const extend = require('extend');
+
+/**
+ * Cast the data (ex: from an HTTP request) to the types declared in the Schema.
+ * Casting is enabled with the Schema option "cast" and can be overridden
+ * on each path with its own "cast" option.
+ * Ids and key paths of "entityKey" properties are always converted to Keys.
+ * The data object is modified in place, embedded entities and arrays are copied.
+ * @param data
+ * @param schema
+ * @param gstore : gstore instance (to create geoPoints and Keys)
+ * @param namespace : namespace of the Keys created (optional)
+ * @returns {Object} data
+ */
+function cast(data, schema, gstore, namespace) {
+    const ctx = {
+        gstore: gstore,
+        namespace: namespace
+    };
+
+    castPaths(data, schema, ctx, schema.options.cast === true);
+    return data;
+}
+
+function castPaths(data, schema, ctx, enabled) {
+    Object.keys(data).forEach((k) => {
+        if (schema.paths.hasOwnProperty(k)) {
+            data[k] = castValue(data[k], schema.paths[k], ctx, enabled);
+        }
+    });
+}
+
+function castValue(value, pathDef, ctx, enabled) {
+    const type = pathDef.type;
+
+    enabled = pathDef.hasOwnProperty('cast') ? pathDef.cast === true : enabled;
+
+    if (value === null || typeof value === 'undefined') {
+        return value;
+    }
+
+    // Embedded entity
+    if (is.object(type) && type.instanceOfSchema) {
+        if (!is.object(value)) {
+            return value;
+        }
+        value = extend({}, value);
+        castPaths(value, type, ctx, enabled);
+        return value;
+    }
+
+    if (type === 'array' && is.object(pathDef.items) && is.array(value)) {
+        return value.map((item) => {
+            return castValue(item, pathDef.items, ctx, enabled);
+        });
+    }
+
+    if (type === 'entityKey') {
+        return toEntityKey(value, pathDef, ctx);
+    }
+
+    if (!enabled) {
+        return value;
+    }
+
+    switch (type) {
+        case 'int':
+            if (is.string(value) && /^\s*-?\d+\s*$/.test(value)) {
+                return parseInt(value, 10);
+            }
+            break;
+        case 'double':
+            if (is.string(value) && isNumeric(value)) {
+                return parseFloat(value);
+            }
+            break;
+        case 'boolean':
+            if (value === 'true' || value === 'false') {
+                return value === 'true';
+            }
+            break;
+        case 'datetime':
+            if (is.number(value)) {
+                return new Date(value);
+            }
+            if (is.string(value) && moment(value, moment.ISO_8601, true).isValid()) {
+                return new Date(value);
+            }
+            break;
+        case 'geoPoint':
+            return toGeoPoint(value, ctx.gstore.ds);
+    }
+
+    return value;
+}
+
+function toGeoPoint(value, ds) {
+    if (!is.object(value)) {
+        return value;
+    }
+
+    const latitude  = value.hasOwnProperty('lat') ? value.lat : value.latitude;
+    const longitude = value.hasOwnProperty('lng') ? value.lng : value.longitude;
+
+    if (!isNumeric(latitude) || !isNumeric(longitude)) {
+        return value;
+    }
+
+    return ds.geoPoint({
+        latitude: parseFloat(latitude),
+        longitude: parseFloat(longitude)
+    });
+}
+
+/**
+ * Convert an id or a key path ([kind, id] with optional ancestors)
+ * to a Key through the referenced Model
+ */
+function toEntityKey(value, pathDef, ctx) {
+    const RefModel = pathDef.ref ? ctx.gstore.models[pathDef.ref] : undefined;
+
+    if (!RefModel || value.constructor.name === 'Key') {
+        return value;
+    }
+
+    if (is.array(value)) {
+        const l = value.length;
+
+        if (l < 2 || l % 2 !== 0 || value[l - 2] !== pathDef.ref) {
+            return value;
+        }
+        return RefModel.key(value[l - 1], value.slice(0, -2), ctx.namespace);
+    }
+
+    if (is.string(value) || is.number(value)) {
+        return RefModel.key(value, null, ctx.namespace);
+    }
+
+    return value;
+}
+
+function isNumeric(v) {
+    return (is.number(v) || is.string(v) && v.trim().length > 0) && isFinite(v);
+}
+
+module.exports = {
+    cast : cast
+};
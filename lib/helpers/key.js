@@ -0,0 +1,56 @@
+'use strict';
+
+const async = require('async');
+
+// Maximum number of keys fetched in one Datastore lookup
+const MAX_KEYS_PER_GET = 1000;
+
+/**
+ * Check if a value is a gcloud Key
+ */
+function isKey(value) {
+    return value !== null && typeof value === 'object' && value.constructor.name === 'Key';
+}
+
+/**
+ * String identifying a Key (namespace and path), to index the Keys in an object
+ */
+function keyToString(key) {
+    return (key.namespace || '') + ':' + key.path.join('/');
+}
+
+/**
+ * Check if two Keys are the same
+ */
+function sameKey(a, b) {
+    return isKey(a) && isKey(b) && keyToString(a) === keyToString(b);
+}
+
+/**
+ * Fetch the entities of the Keys by chunks of MAX_KEYS_PER_GET (one Datastore lookup per chunk)
+ * @param ds : Datastore instance (or transaction)
+ * @param keys {Array}
+ * @param cb : called with the entities found
+ */
+function getByChunks(ds, keys, cb) {
+    let chunks = [];
+
+    for (let i = 0; i < keys.length; i += MAX_KEYS_PER_GET) {
+        chunks.push(keys.slice(i, i + MAX_KEYS_PER_GET));
+    }
+
+    async.mapSeries(chunks, (chunk, done) => ds.get(chunk, done), (err, results) => {
+        if (err) {
+            return cb(err);
+        }
+        cb(null, results.reduce((entities, result) => entities.concat(result || []), []));
+    });
+}
+
+module.exports = {
+    MAX_KEYS_PER_GET : MAX_KEYS_PER_GET,
+    isKey            : isKey,
+    keyToString      : keyToString,
+    sameKey          : sameKey,
+    getByChunks      : getByChunks
+};
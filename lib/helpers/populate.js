@@ -0,0 +1,165 @@
+'use strict';
+
+const is     = require('is');
+const arrify = require('arrify');
+const extend = require('extend');
+
+const datastoreSerializer = require('../serializers/datastore');
+const keyHelpers          = require('./key');
+
+/**
+ * Replace the entity Keys found at the paths passed by the data of the
+ * referenced entities. All the Keys are fetched with batched ds.get() calls (1000 Keys per call)
+ * and hydrated through the referenced Model serializer (if the Model exists).
+ * Missing references are set to null.
+ * @param gstore
+ * @param items {Array} entities data (entityData or plain objects)
+ * @param paths {Array} or {String} ex: ['author', 'comments.user']
+ * @param options {Object} {readAll}
+ * @param cb
+ */
+function populate(gstore, items, paths, options, cb) {
+    paths = arrify(paths).map((path) => path.split('.'));
+    options = options || {};
+
+    let keys = {};
+
+    paths.forEach((segments) => {
+        items.forEach((item) => {
+            walk(item, segments, (container, prop) => {
+                arrify(container[prop]).forEach((value) => {
+                    if (keyHelpers.isKey(value)) {
+                        keys[keyHelpers.keyToString(value)] = value;
+                    }
+                });
+            });
+        });
+    });
+
+    const uniqueKeys = Object.keys(keys).map((k) => keys[k]);
+
+    if (uniqueKeys.length === 0) {
+        return cb(null, items);
+    }
+
+    keyHelpers.getByChunks(gstore.ds, uniqueKeys, (err, entities) => {
+        if (err) {
+            return cb(err);
+        }
+
+        let refs = {};
+
+        arrify(entities).forEach((entity) => {
+            const key      = entity[gstore.ds.KEY];
+            const RefModel = gstore.models[key.kind];
+
+            if (RefModel) {
+                refs[keyHelpers.keyToString(key)] = datastoreSerializer.fromDatastore.call(RefModel, entity, options.readAll);
+            } else {
+                // No Model for this kind, we only add its id
+                let data = extend({id: key.path[key.path.length - 1]}, entity);
+                data[gstore.ds.KEY] = key;
+                refs[keyHelpers.keyToString(key)] = data;
+            }
+        });
+
+        paths.forEach((segments) => {
+            items.forEach((item) => {
+                walk(item, segments, (container, prop) => {
+                    const value = container[prop];
+
+                    if (is.array(value)) {
+                        container[prop] = value.map((v) => resolve(v, refs));
+                    } else {
+                        container[prop] = resolve(value, refs);
+                    }
+                });
+            });
+        });
+
+        cb(null, items);
+    });
+}
+
+/**
+ * Populate Model instances without modifying their entityData (it keeps the Keys
+ * so the entities can still be saved). The populated properties are set
+ * on entity.populated and returned by entity.get() and entity.plain().
+ * @param gstore
+ * @param entities {Array} Model instances
+ * @param paths {Array} or {String}
+ * @param options {Object} {readAll}
+ * @param cb
+ */
+function populateEntities(gstore, entities, paths, options, cb) {
+    const roots = arrify(paths).map((path) => path.split('.')[0]);
+
+    const items = entities.map((entity) => {
+        let item = {};
+        roots.forEach((root) => {
+            if (entity.entityData.hasOwnProperty(root)) {
+                item[root] = copy(entity.entityData[root]);
+            }
+        });
+        return item;
+    });
+
+    populate(gstore, items, paths, options, (err) => {
+        if (err) {
+            return cb(err);
+        }
+
+        entities.forEach((entity, i) => {
+            entity.populated = items[i];
+        });
+
+        cb(null, entities);
+    });
+}
+
+/**
+ * Copy of the arrays and embedded entities (the Keys and Dates are kept)
+ */
+function copy(value) {
+    if (is.array(value)) {
+        return extend(true, [], value);
+    }
+    if (is.object(value) && !keyHelpers.isKey(value)) {
+        return extend(true, {}, value);
+    }
+    return value;
+}
+
+/**
+ * Go down the path segments (through embedded entities and arrays)
+ * and call fn with the object holding the last segment
+ */
+function walk(value, segments, fn) {
+    if (is.array(value)) {
+        value.forEach((v) => walk(v, segments, fn));
+        return;
+    }
+
+    if (!is.object(value) || keyHelpers.isKey(value) || !value.hasOwnProperty(segments[0])) {
+        return;
+    }
+
+    if (segments.length === 1) {
+        return fn(value, segments[0]);
+    }
+
+    walk(value[segments[0]], segments.slice(1), fn);
+}
+
+function resolve(value, refs) {
+    if (!keyHelpers.isKey(value)) {
+        return value;
+    }
+    const ref = refs[keyHelpers.keyToString(value)];
+    return typeof ref === 'undefined' ? null : ref;
+}
+
+module.exports = {
+    populate         : populate,
+    populateEntities : populateEntities
+};
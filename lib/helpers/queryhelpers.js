@@ -64,6 +64,52 @@ function buildFromOptions(query, options, ds) {
     return query;
 }
 
+// Operators of the filters passed as object: {age: {$gte: 18}}
+const OPERATORS = {
+    $eq  : '=',
+    $gt  : '>',
+    $gte : '>=',
+    $lt  : '<',
+    $lte : '<='
+};
+
+/**
+ * Convert an object of conditions to Datastore filters
+ * {status: 'active', age: {$gte: 18, $lt: 65}} --> [['status', '=', 'active'], ['age', '>=', 18], ['age', '<', 65]]
+ * An object value is an operator object if all its keys start with "$"
+ */
+function conditionsToFilters(conditions) {
+    let filters = [];
+
+    Object.keys(conditions).forEach((property) => {
+        const value = conditions[property];
+
+        if (!isOperatorObject(value)) {
+            filters.push([property, '=', value]);
+            return;
+        }
+
+        Object.keys(value).forEach((op) => {
+            if (!OPERATORS.hasOwnProperty(op)) {
+                throw new Error('Unknown operator ' + op + ' {' + property + '}');
+            }
+            filters.push([property, OPERATORS[op], value[op]]);
+        });
+    });
+
+    return filters;
+}
+
+function isOperatorObject(value) {
+    if (!is.object(value)) {
+        return false;
+    }
+
+    const keys = Object.keys(value);
+    return keys.length > 0 && keys.every((k) => k.charAt(0) === '$');
+}
+
 module.exports = {
-    buildFromOptions : buildFromOptions
+    buildFromOptions    : buildFromOptions,
+    conditionsToFilters : conditionsToFilters
 };
@@ -0,0 +1,99 @@
+'use strict';
+
+const is     = require('is');
+const extend = require('extend');
+
+// gRPC code returned by the Datastore when a transaction fails because of contention
+const ABORTED = 10;
+
+// @google-cloud/common converts the gRPC codes to HTTP codes: ABORTED becomes 409 "Conflict",
+// like ALREADY_EXISTS, so only the message tells the contention apart
+const CONFLICT = 409;
+const ABORTED_MESSAGE = /contention|aborted/i;
+
+const DEFAULT_POLICY = {
+    retries  : 0,
+    backoff  : 'exponential',
+    delay    : 100,
+    maxDelay : 5000
+};
+
+/**
+ * Merge the retry policies passed (ex: gstore, Schema and call options),
+ * the last one has the priority
+ * @returns {Object} {retries, backoff, delay, maxDelay}
+ */
+function policy() {
+    let result = extend({}, DEFAULT_POLICY);
+
+    for (let i = 0; i < arguments.length; i++) {
+        const source = arguments[i];
+
+        if (is.object(source)) {
+            Object.keys(DEFAULT_POLICY).forEach((k) => {
+                if (source.hasOwnProperty(k) && typeof source[k] !== 'undefined') {
+                    result[k] = source[k];
+                }
+            });
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Execute fn(done) and execute it again (after a delay) when it fails
+ * with an ABORTED error, as long as the policy allows it
+ * @param policy {Object}
+ * @param fn {Function} function(done) to execute
+ * @param cb {Function} called with the arguments of the last done()
+ */
+function run(policy, fn, cb) {
+    let attempt = 0;
+
+    fn(onDone);
+
+    //////////
+
+    function onDone(err) {
+        if (err && isAborted(err) && attempt < policy.retries) {
+            const delay = getDelay(policy, attempt);
+            attempt += 1;
+            return setTimeout(() => fn(onDone), delay);
+        }
+
+        cb.apply(null, arguments);
+    }
+}
+
+/**
+ * Delay before a retry: fixed or doubled at each attempt (up to maxDelay)
+ */
+function getDelay(policy, attempt) {
+    const delay = policy.backoff === 'exponential' ? policy.delay * Math.pow(2, attempt) : policy.delay;
+
+    return is.number(policy.maxDelay) ? Math.min(delay, policy.maxDelay) : delay;
+}
+
+/**
+ * Check if the error is a transaction aborted because of contention,
+ * as returned by the Datastore client (409) or by gRPC (10)
+ */
+function isAborted(err) {
+    if (!err) {
+        return false;
+    }
+
+    if (err.code === ABORTED) {
+        return true;
+    }
+
+    return err.code === CONFLICT && ABORTED_MESSAGE.test(err.message || '');
+}
+
+module.exports = {
+    policy    : policy,
+    run       : run,
+    getDelay  : getDelay,
+    isAborted : isAborted
+};
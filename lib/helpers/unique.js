@@ -0,0 +1,106 @@
+'use strict';
+
+const is     = require('is');
+const crypto = require('crypto');
+
+const keyHelpers = require('./key');
+
+// Kind of the lookup entities of the unique constraints
+const LOOKUP_KIND = 'GstoreUnique';
+
+// Maximum size (in bytes) of a Datastore key name
+const MAX_NAME_BYTES = 1500;
+
+/**
+ * Unique constraints declared on the Schema paths with the "unique" option:
+ * - unique: true  (the path value is unique)
+ * - unique: ['tenant', 'email']  (the combination of the values is unique)
+ * On "array" paths, unique: true means that the array items are unique (not a constraint).
+ * @param schema
+ * @returns {Array} [{path, paths}]
+ */
+function constraints(schema) {
+    let result = [];
+    let names  = {};
+
+    Object.keys(schema.paths).forEach((k) => {
+        const unique = schema.paths[k].unique;
+        let paths;
+
+        if (unique === true && schema.paths[k].type !== 'array') {
+            paths = [k];
+        } else if (is.array(unique) && unique.length > 0) {
+            paths = unique.slice();
+        } else {
+            return;
+        }
+
+        // The same compound constraint can be declared on each of its paths
+        const name = paths.slice().sort().join('+');
+        if (!names[name]) {
+            names[name] = true;
+            result.push({path: k, paths: paths});
+        }
+    });
+
+    return result;
+}
+
+/**
+ * Keys of the lookup entities of the entity data for each constraint
+ * (constraints with an empty value are ignored)
+ * @param ds : Datastore instance
+ * @param entityKey : Key of the entity
+ * @param constraints
+ * @param data : entity data
+ * @returns {Array} [{constraint, values, key}]
+ */
+function lookups(ds, entityKey, constraints, data) {
+    let result = [];
+
+    if (!data) {
+        return result;
+    }
+
+    constraints.forEach((constraint) => {
+        const values = constraint.paths.map((p) => data[p]);
+
+        if (values.some((v) => v === null || typeof v === 'undefined' || v === '')) {
+            return;
+        }
+
+        const prefix = entityKey.kind + ':' + constraint.paths.join('+') + ':';
+        let name     = prefix + values.map(valueToString).join('|');
+
+        // Values too long for a key name are hashed
+        if (Buffer.byteLength(name, 'utf8') > MAX_NAME_BYTES) {
+            name = prefix + 'sha256:' + crypto.createHash('sha256').update(name, 'utf8').digest('hex');
+        }
+
+        const path = [LOOKUP_KIND, name];
+
+        result.push({
+            constraint: constraint,
+            values: values,
+            key: entityKey.namespace ? ds.key({namespace: entityKey.namespace, path: path}) : ds.key(path)
+        });
+    });
+
+    return result;
+}
+
+function valueToString(value) {
+    if (is.date(value)) {
+        return value.toISOString();
+    }
+    if (keyHelpers.isKey(value)) {
+        return keyHelpers.keyToString(value);
+    }
+    return JSON.stringify(value);
+}
+
+module.exports = {
+    LOOKUP_KIND : LOOKUP_KIND,
+    constraints : constraints,
+    lookups     : lookups
+};
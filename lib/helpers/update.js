@@ -0,0 +1,216 @@
+'use strict';
+
+const is     = require('is');
+const arrify = require('arrify');
+const extend = require('extend');
+
+const keyHelpers = require('./key');
+
+/**
+ * Apply the data of Model.update() to the entity fetched from the Datastore.
+ * The properties are merged in the entity and the operators are then applied
+ * (paths can target embedded entities with a dot: "stats.views")
+ *
+ * - $inc      : {views: 1}
+ * - $push     : {tags: 'x'} or {tags: {$each: ['x', 'y']}}
+ * - $addToSet : same as $push but only adds the values not in the array
+ * - $pull     : {tags: 'x'} or {tags: ['x', 'y']}
+ * - $unset    : ['tmp'] or 'tmp'
+ * - $min      : {lowestPrice: 10}
+ * - $max      : {highestScore: 100}
+ *
+ * @param entity : entity data fetched
+ * @param data : properties and operators
+ * @returns {Object} error {code, message} if an operator can't be applied, or null
+ */
+function applyUpdate(entity, data) {
+    let properties = {};
+    let operators  = [];
+
+    Object.keys(data || {}).forEach((k) => {
+        if (k.charAt(0) === '$') {
+            operators.push(k);
+        } else {
+            properties[k] = data[k];
+        }
+    });
+
+    extend(false, entity, properties);
+
+    for (let i = 0; i < operators.length; i++) {
+        const op = operators[i];
+
+        if (!OPERATORS.hasOwnProperty(op)) {
+            return error('Unknown update operator ' + op);
+        }
+
+        const values = op === '$unset' ? toUnsetObject(data[op]) : data[op];
+
+        if (!is.object(values)) {
+            return error('Operator ' + op + ' must be an object');
+        }
+
+        const paths = Object.keys(values);
+
+        for (let j = 0; j < paths.length; j++) {
+            const err = OPERATORS[op](entity, paths[j], values[paths[j]]);
+            if (err) {
+                return error(err + ' {' + paths[j] + '}');
+            }
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Operators, they return an error message if they can't be applied
+ */
+const OPERATORS = {
+    $inc: (entity, path, value) => {
+        const current = getPath(entity, path);
+
+        if (!is.number(value) || !isEmpty(current) && !is.number(current)) {
+            return '$inc can only be applied with a number to a numeric property';
+        }
+        setPath(entity, path, (current || 0) + value);
+    },
+    $push: (entity, path, value) => {
+        return addToArray(entity, path, value, false);
+    },
+    $addToSet: (entity, path, value) => {
+        return addToArray(entity, path, value, true);
+    },
+    $pull: (entity, path, value) => {
+        const current = getPath(entity, path);
+
+        if (isEmpty(current)) {
+            return;
+        }
+        if (!is.array(current)) {
+            return '$pull can only be applied to an array property';
+        }
+
+        const values = arrify(value);
+        setPath(entity, path, current.filter((item) => !contains(values, item)));
+    },
+    $unset: (entity, path) => {
+        const segments  = path.split('.');
+        const container = getPath(entity, segments.slice(0, -1).join('.'));
+
+        if (is.object(container)) {
+            delete container[segments[segments.length - 1]];
+        }
+    },
+    $min: (entity, path, value) => {
+        const current = getPath(entity, path);
+
+        if (isEmpty(current) || compare(value, current) < 0) {
+            setPath(entity, path, value);
+        }
+    },
+    $max: (entity, path, value) => {
+        const current = getPath(entity, path);
+
+        if (isEmpty(current) || compare(value, current) > 0) {
+            setPath(entity, path, value);
+        }
+    }
+};
+
+function addToArray(entity, path, value, unique) {
+    const current = getPath(entity, path);
+
+    if (!isEmpty(current) && !is.array(current)) {
+        return (unique ? '$addToSet' : '$push') + ' can only be applied to an array property';
+    }
+
+    let array = isEmpty(current) ? [] : current.slice();
+    const values = is.object(value) && value.hasOwnProperty('$each') ? arrify(value.$each) : [value];
+
+    values.forEach((v) => {
+        if (!unique || !contains(array, v)) {
+            array.push(v);
+        }
+    });
+
+    setPath(entity, path, array);
+}
+
+/**
+ * Get the value of a path ("a.b.c") or undefined
+ */
+function getPath(obj, path) {
+    if (path === '') {
+        return obj;
+    }
+
+    return path.split('.').reduce((value, segment) => {
+        return is.object(value) ? value[segment] : undefined;
+    }, obj);
+}
+
+/**
+ * Set the value of a path ("a.b.c"), creating the missing embedded objects
+ */
+function setPath(obj, path, value) {
+    const segments = path.split('.');
+    const last     = segments.pop();
+
+    segments.forEach((segment) => {
+        if (!is.object(obj[segment])) {
+            obj[segment] = {};
+        }
+        obj = obj[segment];
+    });
+
+    obj[last] = value;
+}
+
+function toUnsetObject(paths) {
+    if (is.object(paths)) {
+        return paths;
+    }
+
+    let values = {};
+    arrify(paths).forEach((p) => {
+        values[p] = true;
+    });
+    return values;
+}
+
+function contains(array, value) {
+    return array.some((item) => isEqual(item, value));
+}
+
+function isEqual(a, b) {
+    if (is.date(a) && is.date(b)) {
+        return a.getTime() === b.getTime();
+    }
+    if (keyHelpers.isKey(a) && keyHelpers.isKey(b)) {
+        return keyHelpers.sameKey(a, b);
+    }
+    return a === b;
+}
+
+function compare(a, b) {
+    a = is.date(a) ? a.getTime() : a;
+    b = is.date(b) ? b.getTime() : b;
+
+    return a < b ? -1 : a > b ? 1 : 0;
+}
+
+function isEmpty(value) {
+    return value === null || typeof value === 'undefined';
+}
+
+function error(message) {
+    return {
+        code    : 400,
+        message : message
+    };
+}
+
+module.exports = {
+    applyUpdate : applyUpdate
+};
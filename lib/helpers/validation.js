@@ -0,0 +1,338 @@
+'use strict';
+
+const moment    = require('moment');
+const is        = require('is');
+const arrify    = require('arrify');
+const validator = require('validator');
+
+const GstoreError = require('../error.js');
+
+/**
+ * Stable error codes for each validation rule
+ */
+const codes = {
+    notAllowed: 'ERR_PROP_NOT_ALLOWED',
+    type: 'ERR_PROP_TYPE',
+    required: 'ERR_PROP_REQUIRED',
+    validate: 'ERR_PROP_VALIDATE',
+    values: 'ERR_PROP_VALUES',
+    min: 'ERR_PROP_MIN',
+    max: 'ERR_PROP_MAX',
+    minLength: 'ERR_PROP_MIN_LENGTH',
+    maxLength: 'ERR_PROP_MAX_LENGTH',
+    match: 'ERR_PROP_MATCH',
+    minItems: 'ERR_PROP_MIN_ITEMS',
+    maxItems: 'ERR_PROP_MAX_ITEMS',
+    unique: 'ERR_PROP_UNIQUE'
+};
+
+/**
+ * Validate the entity data against its Schema paths.
+ * Embedded Schemas are validated recursively and their errors are
+ * keyed by their full dotted path (ex: "address.zip").
+ * Each error is a ValidatorError with the "code" and "rule" that failed,
+ * the property "path" and the offending "value". Only the first error of a path is kept.
+ * @param entityData
+ * @param schema
+ * @param entityKind
+ * @param entityKey (optional) gcloud Key of the entity
+ * @returns {Object} {success:true} or {success:false, errors:{...}}
+ */
+function validate(entityData, schema, entityKind, entityKey) {
+    const ctx = {
+        errors: {},
+        entityData: entityData,
+        entityKind: entityKind,
+        namespace: entityKey ? entityKey.namespace : undefined
+    };
+
+    validatePaths(entityData, schema, '', ctx);
+
+    return Object.keys(ctx.errors).length > 0 ? {success:false, errors:ctx.errors} : {success:true};
+}
+
+function validatePaths(data, schema, prefix, ctx) {
+    const isRoot = prefix === '';
+    let keys = Object.keys(data);
+
+    if (!isRoot) {
+        // Embedded entities are not built from the Schema so we
+        // make sure that their required properties are checked
+        Object.keys(schema.paths).forEach((k) => {
+            if (schema.paths[k].required === true && keys.indexOf(k) < 0) {
+                keys.push(k);
+            }
+        });
+    }
+
+    keys.forEach((k) => {
+        if (isRoot && schema.virtuals.hasOwnProperty(k)) {
+            // Virtual, remove it and skip the rest
+            delete data[k];
+            return;
+        }
+
+        if (!schema.paths.hasOwnProperty(k)) {
+            if (schema.options.explicitOnly !== false) {
+                addError(ctx, prefix + k, 'notAllowed', data[k], 'Not allowed',
+                    'Property not allowed {' + prefix + k + '} for ' + ctx.entityKind + ' Entity');
+            }
+            // Otherwise no more validation, key does not exist but it is allowed
+            return;
+        }
+
+        validateProperty(prefix + k, data[k], schema.paths[k], ctx);
+    });
+}
+
+function validateProperty(path, value, pathDef, ctx) {
+    const isValueEmpty = valueIsEmpty(value);
+    let propertyValue  = value;
+
+    if (typeof propertyValue === 'string') {
+        propertyValue = propertyValue.trim();
+    }
+
+    // Properties type
+    if (!isValueEmpty && pathDef.hasOwnProperty('type')) {
+        let typeValid = true;
+        const type    = pathDef.type;
+
+        if (type === 'datetime') {
+            // Validate datetime "format"
+            if (!isDateTime(propertyValue)) {
+                addError(ctx, path, 'type', value, 'Wrong format', 'Wrong date format for ' + path);
+            }
+        } else {
+            if (is.object(type) && type.instanceOfSchema) {
+                // Embedded entity
+                typeValid = is.object(propertyValue);
+                if (typeValid) {
+                    validatePaths(propertyValue, type, path + '.', ctx);
+                }
+            } else if (type === 'array') {
+                // Array
+                typeValid = is.array(propertyValue);
+                if (typeValid) {
+                    validateArray(path, propertyValue, pathDef, ctx);
+                }
+            } else if (type === 'int') {
+                // Integer
+                let isIntInstance = propertyValue.constructor.name === 'Int';
+                if (isIntInstance) {
+                    typeValid = !isNaN(parseInt(propertyValue.value));
+                } else {
+                    typeValid = isInt(propertyValue);
+                }
+            } else if (type === 'double') {
+                // Double
+                let isIntInstance = propertyValue.constructor.name === 'Double';
+                if (isIntInstance) {
+
+                    typeValid = isFloat(parseFloat(propertyValue.value, 10)) || isInt(parseFloat(propertyValue.value, 10));
+                } else {
+                    typeValid = isFloat(propertyValue) || isInt(propertyValue);
+                }
+            } else if (type === 'buffer') {
+                // Double
+                typeValid = propertyValue instanceof Buffer;
+            } else if (type === 'entityKey') {
+                // Key of another entity
+                typeValid = propertyValue.constructor.name === 'Key' &&
+                            (!pathDef.ref || propertyValue.kind === pathDef.ref) &&
+                            (pathDef.sameNamespace !== true || propertyValue.namespace === ctx.namespace);
+            } else if (type === 'geoPoint') {
+                // GeoPoint
+                typeValid = propertyValue.constructor.name === 'GeoPoint';
+            } else {
+                // Other
+                typeValid = typeof propertyValue === type;
+            }
+
+            if (!typeValid) {
+                addError(ctx, path, 'type', value, 'Wrong type', 'Data type error for ' + path);
+            }
+        }
+    }
+
+    if (ctx.errors.hasOwnProperty(path)) {
+        // Wrong type, no need to validate the value
+        return;
+    }
+
+    // Value Validation
+
+    // ...Required
+    if (pathDef.required === true && isValueEmpty) {
+        addError(ctx, path, 'required', value, 'Required', 'Property {' + path + '} is required');
+    }
+
+    // ...Wrong format
+    if (pathDef.hasOwnProperty('validate') && value && value !== '' && value !== null) {
+        // The first rule that fails sets the error
+        arrify(pathDef.validate).some((rule) => {
+            if (!applyValidationRule(rule, value, ctx.entityData)) {
+                addError(ctx, path, 'validate', value, 'Wrong format',
+                    is.object(rule) && rule.message ? rule.message : 'Wrong format for property {' + path + '}');
+                return true;
+            }
+            return false;
+        });
+    }
+
+    // ...Range constraints
+    if (!isValueEmpty) {
+        validateRange(path, propertyValue, pathDef, ctx);
+    }
+
+    // Preset values
+    if (pathDef.hasOwnProperty('values') && value !== '' && typeof value !== 'undefined') {
+        if (pathDef.values.indexOf(value) < 0) {
+            addError(ctx, path, 'values', value, 'Value not allowed',
+                'Value not allowed for ' + path + '. It must be in the range: ' + pathDef.values);
+        }
+    }
+}
+
+function validateRange(path, value, pathDef, ctx) {
+    const number = numericValue(value);
+
+    if (number !== null) {
+        if (is.number(pathDef.min) && number < pathDef.min) {
+            addError(ctx, path, 'min', value, 'Min', 'Property {' + path + '} must be greater than or equal to ' + pathDef.min);
+        }
+
+        if (is.number(pathDef.max) && number > pathDef.max) {
+            addError(ctx, path, 'max', value, 'Max', 'Property {' + path + '} must be less than or equal to ' + pathDef.max);
+        }
+    }
+
+    if (is.string(value)) {
+        if (is.number(pathDef.minLength) && value.length < pathDef.minLength) {
+            addError(ctx, path, 'minLength', value, 'MinLength', 'Property {' + path + '} must have at least ' + pathDef.minLength + ' characters');
+        }
+
+        if (is.number(pathDef.maxLength) && value.length > pathDef.maxLength) {
+            addError(ctx, path, 'maxLength', value, 'MaxLength', 'Property {' + path + '} must have at most ' + pathDef.maxLength + ' characters');
+        }
+
+        if (is.regexp(pathDef.match) && !value.match(pathDef.match)) {
+            addError(ctx, path, 'match', value, 'Match', 'Property {' + path + '} does not match ' + pathDef.match);
+        }
+    }
+}
+
+/**
+ * Number value of numbers and gcloud Int / Double
+ */
+function numericValue(value) {
+    if (is.number(value)) {
+        return value;
+    }
+
+    if (value.constructor.name === 'Int' || value.constructor.name === 'Double') {
+        return parseFloat(value.value);
+    }
+
+    return null;
+}
+
+function validateArray(path, value, pathDef, ctx) {
+    if (is.number(pathDef.minItems) && value.length < pathDef.minItems) {
+        addError(ctx, path, 'minItems', value, 'MinItems', 'Property {' + path + '} must have at least ' + pathDef.minItems + ' items');
+    }
+
+    if (is.number(pathDef.maxItems) && value.length > pathDef.maxItems) {
+        addError(ctx, path, 'maxItems', value, 'MaxItems', 'Property {' + path + '} must have at most ' + pathDef.maxItems + ' items');
+    }
+
+    if (pathDef.unique === true && hasDuplicates(value)) {
+        addError(ctx, path, 'unique', value, 'Unique', 'Property {' + path + '} items must be unique');
+    }
+
+    // Each item is validated against the "items" definition (ex: "tags[3]")
+    if (is.object(pathDef.items)) {
+        value.forEach((item, i) => {
+            validateProperty(path + '[' + i + ']', item, pathDef.items, ctx);
+        });
+    }
+}
+
+/**
+ * A validation rule can be
+ * - the name of a validator.js function: 'isEmail'
+ * - a function: (value, entityData) => boolean
+ * - an object: {rule: 'isLength' | function, args: [...], message: '...'}
+ */
+function applyValidationRule(rule, value, entityData) {
+    let args = [];
+
+    if (is.object(rule)) {
+        args = arrify(rule.args);
+        rule = rule.rule;
+    }
+
+    if (is.fn(rule)) {
+        return rule.apply(null, [value, entityData].concat(args));
+    }
+
+    if (!is.fn(validator[rule])) {
+        throw new Error('Validator {' + rule + '} does not exist');
+    }
+
+    return validator[rule].apply(validator, [value].concat(args));
+}
+
+function hasDuplicates(arr) {
+    const values = arr.map((v) => {
+        return is.date(v) ? v.getTime() : v;
+    });
+
+    return values.some((v, i) => {
+        return values.indexOf(v) !== i;
+    });
+}
+
+function isDateTime(value) {
+    return value.constructor.name === 'Date' ||
+        typeof value === 'string' &&
+        !!value.match(/\d{4}-\d{2}-\d{2}([ ,T])?(\d{2}:\d{2}:\d{2})?(\.\d{1,3})?/) &&
+        moment(value).isValid();
+}
+
+/**
+ * Add a ValidatorError for the path, unless it already has one
+ */
+function addError(ctx, path, rule, value, errorName, message) {
+    if (ctx.errors.hasOwnProperty(path)) {
+        return;
+    }
+
+    ctx.errors[path] = new GstoreError.ValidatorError({
+        errorName: errorName,
+        message: message,
+        code: codes[rule],
+        rule: rule,
+        path: path,
+        value: value
+    });
+}
+
+function isInt(n){
+    return Number(n) === n && n % 1 === 0;
+}
+
+function isFloat(n){
+    return Number(n) === n && n % 1 !== 0;
+}
+
+function valueIsEmpty(v) {
+    return v === null ||
+            v === undefined ||
+            typeof v === 'string' && v.trim().length === 0;
+}
+
+module.exports = {
+    validate : validate,
+    codes    : codes
+};
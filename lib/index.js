@@ -6,6 +6,9 @@
     const Schema = require('./schema');
     const Model  = require('./model');
     const defaultValues = require('./helpers/defaultValues');
+    const retryHelpers  = require('./helpers/retry');
+
+    const Promise = require('bluebird');
 
     const pkg = require('../package.json');
 
@@ -14,6 +17,7 @@
             this.models       = {};
             this.modelSchemas = {};
             this.options      = {};
+            this.plugins      = [];
             this.Schema       = Schema;
         }
 
@@ -65,6 +69,11 @@
                 return this.models[name];
             }
 
+            // apply the global plugins (only once per Schema)
+            this.plugins.forEach((p) => {
+                schema.plugin(p.fn, p.options);
+            });
+
             model = Model.compile(name, schema, this);
 
             if (!skipInit) {
@@ -80,6 +89,31 @@
             return this.models[name];
         }
 
+        /**
+         * Register a global plugin, applied to all the Schemas
+         * of the Models created afterwards
+         * @param fn
+         * @param options
+         */
+        plugin(fn, options) {
+            if (typeof fn !== 'function') {
+                throw new Error('A plugin must be a function');
+            }
+            this.plugins.push({fn: fn, options: options});
+            return this;
+        }
+
+        /**
+         * Save many entities, of any Model, by chunks of 500 entities
+         * (see Model.saveMany())
+         * @param entities {Array}
+         * @param options (optional)
+         * @param cb
+         */
+        save(entities, options, cb) {
+            return Model.saveMany.apply(Model, arguments);
+        }
+
         /**
          * Alias to gcloud datastore Transaction method
          */
@@ -87,6 +121,80 @@
             return this._ds.transaction();
         }
 
+        /**
+         * Run a function inside a transaction. The transaction is passed to the function
+         * and it is committed when the function resolves (or calls its callback), or rolled back
+         * if it fails. When the Datastore aborts the transaction because of contention,
+         * the function is executed again in a new transaction following the retry policy.
+         * The "post" hooks of the Models are executed after the commit.
+         * @param fn : function(transaction) returning a Promise, or function(transaction, done)
+         * @param options (optional) {readOnly, retries, backoff, delay, maxDelay}
+         * @param cb (optional) if not passed a Promise is returned
+         */
+        runInTransaction(fn, options, cb) {
+            const _this = this;
+
+            if (is.fn(options)) {
+                cb      = options;
+                options = undefined;
+            }
+            options = options || {};
+
+            if (!is.fn(fn)) {
+                throw new Error('A function must be passed to runInTransaction()');
+            }
+
+            const retryPolicy = retryHelpers.policy(this.options && this.options.retry, options);
+
+            return new Promise((resolve, reject) => {
+                retryHelpers.run(retryPolicy, runTransaction, (err, result, transaction) => {
+                    if (err) {
+                        return reject(err);
+                    }
+
+                    transaction.execPostHooks();
+                    resolve(result);
+                });
+            }).asCallback(cb);
+
+            //////////
+
+            function runTransaction(done) {
+                // The Datastore client has no read-only transaction: "readOnly" only rolls back
+                // the transaction instead of committing it
+                const transaction = _this._ds.transaction();
+
+                transaction.run((err) => {
+                    if (err) {
+                        return done(err);
+                    }
+
+                    // Collect the "post" hooks of the entities saved or deleted
+                    Model.hooksTransaction(transaction);
+
+                    execute(transaction).then((result) => {
+                        const end = options.readOnly ? transaction.rollback : transaction.commit;
+
+                        end.call(transaction, (err) => {
+                            if (err) {
+                                return done(err);
+                            }
+                            done(null, result, transaction);
+                        });
+                    }, (err) => {
+                        transaction.rollback(() => done(err));
+                    });
+                });
+            }
+
+            function execute(transaction) {
+                if (fn.length > 1) {
+                    return Promise.fromCallback((done) => fn(transaction, done));
+                }
+                return Promise.try(() => fn(transaction));
+            }
+        }
+
         /**
          * Return an array of model names created on this instance of Gstore
          * @returns {Array}
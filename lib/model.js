@@ -4,22 +4,38 @@
     /*
     * Module dependencies.
     */
-    const moment              = require('moment');
     const async               = require('async');
     const is                  = require('is');
     const arrify              = require('arrify');
     const extend              = require('extend');
+    const Readable            = require('stream').Readable;
     const ds                  = require('@google-cloud/datastore')();
-    const validator           = require('validator');
 
     const Promise = require('bluebird');
 
     const Entity              = require('./entity');
+    const QueryBuilder        = require('./queryBuilder');
     const datastoreSerializer = require('./serializer').Datastore;
     const utils               = require('./utils');
     const queryHelpers        = require('./helper').QueryHelpers;
+    const validation          = require('./helper').ValidationHelpers;
+    const castHelpers         = require('./helper').CastHelpers;
+    const populateHelpers     = require('./helper').PopulateHelpers;
+    const updateHelpers       = require('./helper').UpdateHelpers;
+    const retryHelpers        = require('./helper').RetryHelpers;
+    const uniqueHelpers       = require('./helper').UniqueHelpers;
+    const keyHelpers          = require('./helper').KeyHelpers;
     const GstoreError         = require('./error.js');
 
+    // Maximum number of entities saved in one Datastore call
+    const MAX_ENTITIES_PER_SAVE = 500;
+
+    // Number of entities fetched per Datastore call by the query streams
+    const STREAM_PAGE_SIZE = 500;
+
+    // Number of keys-only queries run at the same time by exists()
+    const EXISTS_CONCURRENCY = 10;
+
     class Model extends Entity{
         constructor (data, id, ancestors, namespace, key) {
             super(data, id, ancestors, namespace, key);
@@ -51,11 +67,12 @@
             let multiple = is.array(id);
 
             cb          = args.pop();
+            options     = args.length > 1 && args.length < 5 && isOptionsObject(args[args.length - 1]) ? args.pop() : undefined;
             id          = parseId(id);
             ancestors   = args.length > 1 ? args[1] : undefined;
             namespace   = args.length > 2 ? args[2] : undefined;
             transaction = args.length > 3 ? args[3] : undefined;
-            options     = args.length > 4 ? args[4] : {};
+            options     = args.length > 4 ? args[4] : options || {};
 
             let key     = this.key(id, ancestors, namespace);
 
@@ -86,6 +103,17 @@
                     entity = [entity];
                 }
 
+                if (excludeDeleted(_this, options)) {
+                    entity = entity.filter((e) => !isDeleted(e));
+
+                    if (entity.length === 0 && !multiple) {
+                        return cb({
+                            code   : 404,
+                            message: _this.entityKind + ' {' + id.toString() + '} not found'
+                        });
+                    }
+                }
+
                 entity = entity.map((e) => {
                     return _this.__model(e, null, null, null, e[_this.gstore.ds.KEY]);
                 });
@@ -96,6 +124,15 @@
                     });
                 }
 
+                if (options.populate) {
+                    return populateHelpers.populateEntities(_this.gstore, entity, options.populate, options, (err) => {
+                        if (err) {
+                            return cb(err);
+                        }
+                        cb(null, multiple ? entity : entity[0]);
+                    });
+                }
+
                 cb(null, multiple ? entity : entity[0]);
             }
         }
@@ -123,33 +160,56 @@
              * and save the data directly to the specified key, replacing any previous data.
              */
             if (options && options.replace === true) {
+                if (is.object(data) && Object.keys(data).some((k) => k.charAt(0) === '$')) {
+                    return cb({
+                        code : 400,
+                        message : 'Update operators can\'t be used with the "replace" option'
+                    });
+                }
                 return save(key, data, null, cb);
             }
 
             if (typeof transaction === 'undefined' || transaction === null) {
-                transaction = this.gstore.ds.transaction();
+                /**
+                 * When the transaction is aborted (contention), the whole get + merge + save
+                 * is executed again in a new transaction, following the retry policy
+                 * of the options, of the Schema or of gstore.
+                 */
+                const retryPolicy = retryHelpers.policy(this.gstore.options && this.gstore.options.retry,
+                                                        this.schema.options.retry,
+                                                        options);
+
+                retryHelpers.run(retryPolicy, runTransaction, onTransaction);
+            } else {
+                if (transaction.constructor.name !== 'Transaction') {
+                    throw Error('Transaction needs to be a gcloud Transaction');
+                }
+                getInTransaction(transaction, onTransaction);
+            }
+
+            ///////////////////
+
+            function runTransaction(done) {
+                error = undefined;
+
+                let transaction = _this.gstore.ds.transaction();
                 transaction.run(function(err){
                     if (err) {
-                        return onTransaction(err);
+                        return done(err);
                     } else {
                         getInTransaction(transaction, function(err) {
                             if (err) {
-                                onTransaction(err);
+                                done(err);
                             } else {
-                                transaction.commit(onTransaction);
+                                transaction.commit((err, apiResponse) => {
+                                    done(err || error, apiResponse);
+                                });
                             }
                         });
                     }
                 });
-            } else {
-                if (transaction.constructor.name !== 'Transaction') {
-                    throw Error('Transaction needs to be a gcloud Transaction');
-                }
-                getInTransaction(transaction, onTransaction);
             }
 
-            ///////////////////
-
             function getInTransaction(transaction, done) {
                 transaction.get(key, (err, entity) => {
                     if (err) {
@@ -166,7 +226,31 @@
                         return;
                     }
 
-                    extend(false, entity, data);
+                    const versionKey = _this.schema.options.versionKey;
+                    let version;
+
+                    if (versionKey) {
+                        // Optimistic concurrency: the version passed must be the one in the Datastore
+                        version = entity[versionKey] || 0;
+                        if (data && data[versionKey] !== null && typeof data[versionKey] !== 'undefined' &&
+                            Number(data[versionKey]) !== version) {
+                            error = new GstoreError.ConcurrencyError(entity[_this.gstore.ds.KEY], data[versionKey], version);
+                            transaction.rollback(done);
+                            return;
+                        }
+                    }
+
+                    // Merge the data and apply the update operators ($inc, $push...)
+                    const updateError = updateHelpers.applyUpdate(entity, data);
+                    if (updateError) {
+                        error = updateError;
+                        transaction.rollback(done);
+                        return;
+                    }
+
+                    if (versionKey) {
+                        entity[versionKey] = version + 1;
+                    }
 
                     save(entity[_this.gstore.ds.KEY], entity, transaction, done);
                 });
@@ -181,7 +265,7 @@
                     transaction = {};
                 }
 
-                model.save(transaction, {op:'update'}, (err, entity, info) => {
+                model.save(transaction, extend({}, options, {op:'update'}), (err, entity, info) => {
                     if (err) {
                         error = err;
                         if (!transaction || is.object(transaction) && Object.keys(transaction).length === 0) {
@@ -221,7 +305,16 @@
 
                 options = args.length > 0 ? args[0] : {};
                 options = extend(true, {}, _this.schema.options.queries, options);
-                _this.gstore.ds.runQuery(query, onQuery);
+
+                let runQuery = query;
+
+                // The projection is set on a copy so the next runs of the query are not keys-only
+                if (options.keysOnly) {
+                    runQuery = copyQuery(query);
+                    runQuery.select('__key__');
+                }
+
+                _this.gstore.ds.runQuery(runQuery, onQuery);
 
                 ////////////////////
 
@@ -230,29 +323,114 @@
                         return cb(err);
                     }
 
-                    // Add id property to entities and suppress properties
-                    // where "read" setting is set to false
-                    entities = entities.map((entity) => {
-                        return datastoreSerializer.fromDatastore.call(_this, entity, options.readAll);
-                    });
-
-                    var response = {
-                        entities : entities
-                    };
-
-                    if (info.moreResults !== ds.NO_MORE_RESULTS) {
-                        response.nextPageCursor = info.endCursor;
-                    }
-
-                    cb(null, response);
+                    queryResponse(_this, entities, info, options, cb);
                 }
             };
 
             query.runAsync = Promise.promisify(query.run);
 
+            /**
+             * Readable stream (object mode) of all the entities of the query,
+             * following the cursors until there are no more results
+             * @param options (optional) {readAll, populate, keysOnly, pageSize}
+             */
+            query.stream = function(options) {
+                options = extend(true, {}, _this.schema.options.queries, options);
+                return streamQuery(_this, query, options);
+            };
+
             return query;
         }
 
+        /**
+         * Chainable query builder
+         * @param filters (optional) {property: value} or {property: {$gt: value}}
+         * @returns {QueryBuilder}
+         */
+        static find(filters) {
+            return new QueryBuilder(this, filters);
+        }
+
+        /**
+         * Execute a function on each entity of a query, following the cursors
+         * until there are no more results
+         * @param options (optional) query options (same as list()) and run options {readAll, populate, withDeleted, pageSize}
+         * @param fn {Function} function(entity) returning a Promise, or function(entity, done)
+         * @param eachOptions (optional) {concurrency} number of entities processed at the same time (default 1)
+         * @param cb (optional)
+         * @returns {Promise} number of entities processed
+         */
+        static findEach(options, fn, eachOptions, cb) {
+            let args = arrayArguments(arguments);
+            const fnIndex = args.findIndex(is.fn);
+
+            fn          = args[fnIndex];
+            options     = fnIndex > 0 && args[0] ? args[0] : {};
+            eachOptions = is.object(args[fnIndex + 1]) ? args[fnIndex + 1] : {};
+            cb          = is.fn(args[args.length - 1]) && args.length - 1 > fnIndex ? args[args.length - 1] : undefined;
+
+            if (!is.fn(fn)) {
+                throw new Error('findEach() needs a function to execute on each entity');
+            }
+
+            const concurrency = eachOptions.concurrency > 0 ? eachOptions.concurrency : 1;
+
+            let query = this.query(options.namespace);
+            query = queryHelpers.buildFromOptions(query, options, this.gstore.ds);
+
+            if (excludeDeleted(this, options)) {
+                query.filter('deletedAt', null);
+            }
+
+            return new Promise((resolve, reject) => {
+                let stream    = query.stream(options);
+                let running   = 0;
+                let processed = 0;
+                let ended     = false;
+                let failed    = false;
+
+                stream.on('data', (entity) => {
+                    running += 1;
+                    if (running >= concurrency) {
+                        stream.pause();
+                    }
+
+                    const result = fn.length > 1 ? Promise.fromCallback((done) => fn(entity, done)) : Promise.try(() => fn(entity));
+
+                    result.then(() => {
+                        running   -= 1;
+                        processed += 1;
+
+                        if (failed) {
+                            return;
+                        }
+                        if (ended && running === 0) {
+                            return resolve(processed);
+                        }
+                        stream.resume();
+                    }, onError);
+                });
+
+                stream.on('end', () => {
+                    ended = true;
+                    if (running === 0 && !failed) {
+                        resolve(processed);
+                    }
+                });
+
+                stream.on('error', onError);
+
+                function onError(err) {
+                    if (failed) {
+                        return;
+                    }
+                    failed = true;
+                    stream.pause();
+                    reject(err);
+                }
+            }).asCallback(cb);
+        }
+
         static list(options, cb) {
             var _this = this;
             let args  = arrayArguments(arguments);
@@ -269,6 +447,14 @@
             // Build query from options passed
             query = queryHelpers.buildFromOptions(query, options, this.gstore.ds);
 
+            if (excludeDeleted(this, options)) {
+                query.filter('deletedAt', null);
+            }
+
+            if (options.keysOnly) {
+                query.select('__key__');
+            }
+
             // merge options inside entities option
             options = extend({}, this.schema.options.queries, options);
 
@@ -277,35 +463,35 @@
                     return cb(err);
                 }
 
-                // Add id property to entities and suppress properties
-                // where "read" setting is set to false
-                entities = entities.map((entity) => {
-                    return datastoreSerializer.fromDatastore.call(_this, entity, options.readAll);
-                });
-
-                var response = {
-                    entities : entities
-                };
-
-                if (info.moreResults !== ds.NO_MORE_RESULTS) {
-                    response.nextPageCursor = info.endCursor;
-                }
-
-                cb(null, response);
+                queryResponse(_this, entities, info, options, cb);
             });
         }
 
-        static delete(id, ancestors, namespace, transaction, key, cb) {
+        static delete(id, ancestors, namespace, transaction, key, options, cb) {
             let _this    = this;
             let args     = arrayArguments(arguments);
             let multiple = is.array(id);
 
             cb          = args.pop();
+            // (an object in the transaction position is not considered as options)
+            options     = args.length > 1 && args.length < 6 && args.length !== 4 && isOptionsObject(args[args.length - 1]) ? args.pop() : undefined;
             id          = parseId(id);
             ancestors   = args.length > 1 ? args[1]: undefined;
             namespace   = args.length > 2 ? args[2]: undefined;
             transaction = args.length > 3 ? args[3]: undefined;
             key         = args.length > 4 ? args[4]: undefined;
+            options     = args.length > 5 ? args[5]: options || {};
+
+            const softDelete = this.schema.options.softDelete === true && options.purge !== true;
+
+            /**
+             * With unique constraints the lookup entities are read before the entity is deleted,
+             * a transaction must only be committed once the callback has been called
+             */
+            if (!softDelete && !is.fn(cb) && uniqueHelpers.constraints(this.schema).length > 0) {
+                throw new Error('A callback is required to delete ' + this.entityKind +
+                    ' in a transaction, the transaction can only be committed once it has been called');
+            }
 
             if (!key) {
                 key = this.key(id, ancestors, namespace);
@@ -342,6 +528,14 @@
             }
 
             function executeDelete(callback) {
+                if (softDelete) {
+                    return executeSoftDelete(callback);
+                }
+
+                if (uniqueHelpers.constraints(_this.schema).length > 0) {
+                    return deleteWithLookups();
+                }
+
                 if (!transaction) {
                     _this.gstore.ds.delete(key, onDelete);
                 } else {
@@ -364,6 +558,118 @@
 
                     callback(null, apiRes);
                 }
+
+                /**
+                 * With "unique" constraints, the lookup entities of the values are deleted
+                 * with the entities, in a transaction. Without a transaction passed, each entity
+                 * is deleted in its own transaction (as with soft delete) to stay under the
+                 * Datastore limits of entity groups and mutations per commit.
+                 */
+                function deleteWithLookups() {
+                    if (transaction) {
+                        return releaseLookups(_this, key, transaction, (err) => {
+                            if (err) {
+                                return callback(err);
+                            }
+
+                            transaction.delete(key);
+                            transaction.addHook('post', function() {
+                                _this.hooks.execPost('delete', _this, [key], () => {});
+                            });
+                            cb();
+                        });
+                    }
+
+                    let indexUpdates = 0;
+
+                    async.eachSeries(arrify(key), (k, done) => {
+                        let deleteTransaction = _this.gstore.ds.transaction();
+
+                        deleteTransaction.run((err) => {
+                            if (err) {
+                                return done(err);
+                            }
+
+                            releaseLookups(_this, k, deleteTransaction, (err) => {
+                                if (err) {
+                                    return deleteTransaction.rollback(() => done(err));
+                                }
+
+                                deleteTransaction.delete(k);
+                                deleteTransaction.commit((err, apiRes) => {
+                                    if (!err && apiRes) {
+                                        indexUpdates += apiRes.indexUpdates || 0;
+                                    }
+                                    done(err);
+                                });
+                            });
+                        });
+                    }, (err) => {
+                        if (err) {
+                            return callback(err);
+                        }
+                        onDelete(null, {indexUpdates: indexUpdates});
+                    });
+                }
+            }
+
+            /**
+             * Soft delete: set "deletedAt" and "deletedBy" with an update of each entity
+             */
+            function executeSoftDelete(callback) {
+                let data = {
+                    deletedAt: new Date(),
+                    deletedBy: options.hasOwnProperty('deletedBy') ? options.deletedBy : null
+                };
+                let deleted = 0;
+
+                async.eachSeries(arrify(key), (k, done) => {
+                    if (!transaction) {
+                        return softDeleteEntity(k, done);
+                    }
+
+                    // update() rolls back the transaction of a missing entity: inside
+                    // the transaction passed, the missing entities are skipped first
+                    transaction.get(k, (err, entity) => {
+                        if (err) {
+                            return done(err);
+                        }
+                        if (!entity) {
+                            return done();
+                        }
+                        softDeleteEntity(k, done);
+                    });
+                }, (err) => {
+                    if (err) {
+                        return callback(err);
+                    }
+
+                    if (transaction) {
+                        transaction.addHook('post', function() {
+                            _this.hooks.execPost('delete', _this, [key], () => {});
+                        });
+                        return cb();
+                    }
+
+                    callback(null, {success: deleted > 0});
+                });
+
+                //////////
+
+                function softDeleteEntity(k, done) {
+                    const keyId = k.path[k.path.length - 1];
+
+                    _this.update(keyId, data, k.path.slice(0, -2), k.namespace, transaction, (err) => {
+                        if (err && err.code === 404) {
+                            // Nothing to delete (as with Datastore delete)
+                            return done();
+                        }
+                        if (!err) {
+                            deleted += 1;
+                        }
+                        done(err);
+                    });
+                }
             }
 
             function post(callback) {
@@ -379,14 +685,16 @@
             }
         }
 
-        static deleteAll(ancestors, namespace, cb) {
+        static deleteAll(ancestors, namespace, options, cb) {
             var _this = this;
 
             let args = arrayArguments(arguments);
 
             cb        = args.pop();
+            options   = args.length > 0 && args.length < 3 && isOptionsObject(args[args.length - 1]) ? args.pop() : undefined;
             ancestors = args.length > 0 ? args[0] : undefined;
             namespace = args.length > 1 ? args[1] : undefined;
+            options   = args.length > 2 ? args[2] : options || {};
 
             let query = initQuery(this, namespace);
 
@@ -394,6 +702,14 @@
                 query.hasAncestor(this.gstore.ds.key(ancestors.slice()));
             }
 
+            if (this.schema.options.softDelete === true && options.purge !== true) {
+                // No need to delete again the entities already deleted
+                query.filter('deletedAt', null);
+            }
+
+            // Only the Keys are needed
+            query.select('__key__');
+
             this.gstore.ds.runQuery(query, (err, entities) => {
                 if (err) {
                     return cb(err);
@@ -401,14 +717,14 @@
                 if (_this.hooks._pres.hasOwnProperty('delete') || _this.hooks._posts.hasOwnProperty('delete')) {
                     // We execute delete in serie, calling each pre / post hooks
                     async.eachSeries(entities, function deleteEntity(entity, cb) {
-                        _this.delete.call(_this, null, null, null, null, entity[_this.gstore.ds.KEY], cb);
+                        _this.delete.call(_this, null, null, null, null, entity[_this.gstore.ds.KEY], options, cb);
                     }, onEntitiesDeleted);
                 } else {
                     // No pre or post hooks so we can delete them all at once
                     let keys = entities.map((entity) => {
                         return entity[_this.gstore.ds.KEY];
                     });
-                    _this.delete.call(_this, null, null, null, null, keys, onEntitiesDeleted);
+                    _this.delete.call(_this, null, null, null, null, keys, options, onEntitiesDeleted);
                 }
             });
 
@@ -425,14 +741,152 @@
             }
         }
 
-        static findOne(params, ancestors, namespace, cb) {
+        /**
+         * Count the entities with a keys-only query, following the cursors
+         * @param filters (optional) list() filters or {property: value} / {property: {$gt: value}}
+         * @param options (optional) {ancestors, namespace, withDeleted, pageSize}
+         * @param cb
+         */
+        static count(filters, options, cb) {
+            let args = arrayArguments(arguments);
+
+            cb      = args.pop();
+            filters = args.length > 0 ? args[0] : undefined;
+            options = args.length > 1 && args[1] ? args[1] : {};
+
+            if (is.object(filters)) {
+                try {
+                    filters = queryHelpers.conditionsToFilters(filters);
+                } catch (e) {
+                    return cb({
+                        code : 400,
+                        message : e.message
+                    });
+                }
+            }
+
+            let query = this.query(options.namespace);
+            query = queryHelpers.buildFromOptions(query, {filters: filters, ancestors: options.ancestors}, this.gstore.ds);
+
+            if (excludeDeleted(this, options)) {
+                query.filter('deletedAt', null);
+            }
+
+            let count = 0;
+            query.stream(extend({}, options, {keysOnly: true}))
+                .on('data', () => {
+                    count += 1;
+                })
+                .on('error', cb)
+                .on('end', () => cb(null, count));
+        }
+
+        /**
+         * Check if entities exist with keys-only queries on their Key
+         * @param id {id|Array} id or ids
+         * @param ancestors (optional)
+         * @param namespace (optional)
+         * @param options (optional) {withDeleted}
+         * @param cb
+         * @returns {Boolean|Array} (in the callback) true if the entity exists, an Array for an Array of ids
+         */
+        static exists(id, ancestors, namespace, options, cb) {
+            let _this = this;
+            let args  = arrayArguments(arguments);
+
+            cb        = args.pop();
+            options   = args.length > 1 && args.length < 4 && isOptionsObject(args[args.length - 1]) ? args.pop() : undefined;
+            ancestors = args.length > 1 ? args[1] : undefined;
+            namespace = args.length > 2 ? args[2] : undefined;
+            options   = args.length > 3 ? args[3] : options || {};
+
+            const multiple = is.array(id);
+            const ids      = arrify(id).map(parseId);
+            const keys     = arrify(this.key(ids, ancestors, namespace));
+
+            // A keys-only query per Key (no property is downloaded), run in parallel
+            async.mapLimit(keys, EXISTS_CONCURRENCY, (key, done) => {
+                let query = initQuery(_this, key.namespace)
+                    .filter('__key__', '=', key)
+                    .select('__key__')
+                    .limit(1);
+
+                if (excludeDeleted(_this, options)) {
+                    query.filter('deletedAt', null);
+                }
+
+                _this.gstore.ds.runQuery(query, (err, entities) => {
+                    done(err, !err && entities.length > 0);
+                });
+            }, (err, result) => {
+                if (err) {
+                    return cb(err);
+                }
+                cb(null, multiple ? result : result[0]);
+            });
+        }
+
+        /**
+         * Restore a soft deleted entity
+         * @param id
+         * @param ancestors (optional)
+         * @param namespace (optional)
+         * @param transaction (optional)
+         * @param cb
+         */
+        static restore(id, ancestors, namespace, transaction, cb) {
+            let args = arrayArguments(arguments);
+
+            cb = args.pop();
+
+            if (this.schema.options.softDelete !== true) {
+                return cb({
+                    code : 400,
+                    message : this.entityKind + ' Schema does not have the "softDelete" option'
+                });
+            }
+
+            this.update(id, {deletedAt: null, deletedBy: null}, args[1], args[2], args[3], cb);
+        }
+
+        /**
+         * Delete permanently an entity of a Model with the "softDelete" option.
+         * Same arguments as delete()
+         */
+        static purge(id, ancestors, namespace, transaction, key, cb) {
+            let args = arrayArguments(arguments);
+
+            cb = args.pop();
+
+            while (args.length < 5) {
+                args.push(undefined);
+            }
+            args.push({purge: true}, cb);
+
+            this.delete.apply(this, args);
+        }
+
+        /**
+         * Find the first entity matching the params
+         * @param params {Object} {property: value} or {property: {$gt: value}} ($eq, $gt, $gte, $lt, $lte)
+         * @param ancestors (optional)
+         * @param namespace (optional)
+         * @param options (optional) {order, ancestors, namespace, populate, withDeleted, nullIfNotFound}
+         * @param cb
+         */
+        static findOne(params, ancestors, namespace, options, cb) {
             let _this = this;
             let args  = arrayArguments(arguments);
 
             cb = args.pop();
 
+            options   = args.length > 1 && args.length < 4 && isOptionsObject(args[args.length - 1]) ? args.pop() : undefined;
             ancestors = args.length > 1 ? args[1] : undefined;
             namespace = args.length > 2 ? args[2] : undefined;
+            options   = args.length > 3 ? args[3] : options || {};
+
+            ancestors = ancestors || options.ancestors;
+            namespace = namespace || options.namespace;
 
             if (!is.object(params)) {
                 return cb({
@@ -441,18 +895,37 @@
                 });
             }
 
+            let filters;
+            try {
+                // Equality or operators ({age: {$gte: 18}})
+                filters = queryHelpers.conditionsToFilters(params);
+            } catch (e) {
+                return cb({
+                    code : 400,
+                    message : e.message
+                });
+            }
+
             let query = initQuery(this, namespace);
 
             query.limit(1);
 
-            Object.keys(params).forEach((k) => {
-                query.filter(k, params[k]);
+            filters.forEach((filter) => {
+                query.filter.apply(query, filter);
             });
 
+            if (excludeDeleted(this, options)) {
+                query.filter('deletedAt', null);
+            }
+
             if (ancestors) {
                 query.hasAncestor(this.gstore.ds.key(ancestors.slice()));
             }
 
+            if (options.order) {
+                queryHelpers.buildFromOptions(query, {order: arrify(options.order)});
+            }
+
             this.hooks.execPre('findOne', _this, () => {
                 // Pre methods done
                 _this.gstore.ds.runQuery(query, (err, entities) => {
@@ -463,6 +936,9 @@
                     let entity = entities && entities.length > 0 ? entities[0] : null;
 
                     if (!entity) {
+                        if (options.nullIfNotFound === true) {
+                            return cb(null, null);
+                        }
                         return cb({
                             code:    404,
                             message: _this.entityKind + ' not found'
@@ -471,10 +947,23 @@
                         entity = _this.__model(entity, null, null, null, entity[_this.gstore.ds.KEY]);
                     }
 
-                    _this.hooks.execPost('findOne', null, [], () => {
-                        // all post hooks are done
-                        cb(null, entity);
-                    });
+                    if (options.populate) {
+                        return populateHelpers.populateEntities(_this.gstore, [entity], options.populate, options, (err) => {
+                            if (err) {
+                                return cb(err);
+                            }
+                            onEntity();
+                        });
+                    }
+
+                    onEntity();
+
+                    function onEntity() {
+                        _this.hooks.execPost('findOne', null, [], () => {
+                            // all post hooks are done
+                            cb(null, entity);
+                        });
+                    }
                 });
             });
         }
@@ -525,6 +1014,9 @@
             let descending = options.after ? false : true;
 
             query.filter(property, op, value);
+            if (excludeDeleted(this, options)) {
+                query.filter('deletedAt', null);
+            }
             query.order(property, {descending: descending});
             query.limit(options.after ? options.after : options.before);
 
@@ -533,13 +1025,7 @@
                     return cb(err);
                 }
 
-                // Add id property to entities and suppress properties
-                // where "read" setting is set to false
-                entities = entities.map((entity) => {
-                    return datastoreSerializer.fromDatastore.call(_this, entity, options.readAll);
-                });
-
-                cb(null, entities);
+                cb(null, formatEntities(_this, entities, options));
             });
         };
 
@@ -640,8 +1126,16 @@
             });
         }
 
+        /**
+         * Convert the Model Schema to a JSON Schema (draft-07) document
+         */
+        static toJSONSchema() {
+            return extend({title: this.entityKind}, this.schema.toJSONSchema());
+        }
+
         /**
          * Sanitize user data before saving to Datastore
+         * (and cast its values if the Schema "cast" option is set)
          * @param data : userData
          */
         static sanitize(data) {
@@ -649,17 +1143,97 @@
                 return null;
             }
 
-            Object.keys(data).forEach((k) => {
-                if (!this.schema.paths.hasOwnProperty(k) || this.schema.paths[k].write === false) {
-                    delete data[k];
-                } else {
-                    if (data[k] === 'null') {
-                        data[k] = null;
-                    }
+            sanitizeData(data, this.schema);
+            castHelpers.cast(data, this.schema, this.gstore);
+
+            return data;
+        }
+
+        /**
+         * Save many entities (they can be of different Models) with the minimum of Datastore calls.
+         * The "pre" save hooks (and validation) of all the entities are executed first, then the entities
+         * are saved by chunks of 500 (Datastore limit) and the "post" hooks are called after each chunk saved.
+         * @param entities {Array} entities instances
+         * @param options (optional) {method, timestamps}
+         * @param cb
+         */
+        static saveMany(entities, options, cb) {
+            let args = arrayArguments(arguments);
+
+            cb       = args.pop();
+            entities = arrify(entities);
+            options  = args.length > 1 && args[1] !== null ? args[1] : {};
+
+            if (entities.length === 0) {
+                return cb(null, entities, {op: 'save', chunks: 0});
+            }
+
+            // The lookup entities of the unique constraints can only be checked in a transaction
+            const constrained = entities.filter((entity) => uniqueHelpers.constraints(entity.schema).length > 0);
+            if (constrained.length > 0) {
+                return cb({
+                    code : 400,
+                    message : constrained[0].entityKind + ' has unique constraints, its entities must be saved with save()'
+                });
+            }
+
+            // The version of the entities can only be checked in a transaction
+            const versioned = entities.filter((entity) => entity.schema.options.versionKey);
+            if (versioned.length > 0) {
+                return cb({
+                    code : 400,
+                    message : versioned[0].entityKind + ' has a versionKey, its entities must be saved with save()'
+                });
+            }
+
+            const ds = entities[0].gstore.ds;
+            let chunks = [];
+
+            for (let i = 0; i < entities.length; i += MAX_ENTITIES_PER_SAVE) {
+                chunks.push(entities.slice(i, i + MAX_ENTITIES_PER_SAVE));
+            }
+
+            async.eachSeries(entities, execPreSave, (err) => {
+                if (err) {
+                    return cb(err);
                 }
+
+                async.eachSeries(chunks, saveChunk, (err) => {
+                    if (err) {
+                        return cb(err);
+                    }
+                    cb(null, entities, {op: 'save', chunks: chunks.length});
+                });
             });
 
-            return data;
+            //////////
+
+            function saveChunk(chunk, done) {
+                const data = chunk.map((entity) => {
+                    beforeSave(entity, options);
+
+                    let datastoreEntity = {
+                        key : entity.entityKey,
+                        data : datastoreSerializer.toDatastore(entity.entityData, entity.excludeFromIndexes)
+                    };
+
+                    if (options.method) {
+                        datastoreEntity.method = options.method;
+                    }
+                    return datastoreEntity;
+                });
+
+                ds.save(data, (err) => {
+                    if (err) {
+                        return done(saveMethodError(err, options.method));
+                    }
+
+                    chunk.forEach((entity) => {
+                        entity.emit('save');
+                    });
+                    done();
+                });
+            }
         }
 
         /**
@@ -714,8 +1288,23 @@
 
             extend(saveOptions, options);
 
-            if (this.schema.paths.hasOwnProperty('modifiedOn')) {
-                this.entityData.modifiedOn = new Date();
+            beforeSave(this, saveOptions);
+
+            let info = {
+                op : saveOptions.op
+            };
+
+            /**
+             * With a "versionKey" we check the version of the entity in the Datastore
+             * and increment it, unless we are inside the transaction of Model.update()
+             * that has already done it.
+             * With "unique" constraints we check and save the lookup entities of the values.
+             */
+            const checkVersion = !!this.schema.options.versionKey && !(saveOptions.op === 'update' && transaction);
+            const constraints  = uniqueHelpers.constraints(this.schema);
+
+            if (checkVersion || constraints.length > 0) {
+                return saveChecked(this, transaction, saveOptions, info, checkVersion, constraints, cb);
             }
 
             var entity = {
@@ -723,14 +1312,15 @@
                 data : datastoreSerializer.toDatastore(this.entityData, this.excludeFromIndexes)
             };
 
-            let info = {
-                op : saveOptions.op
-            };
+            // "insert" or "update" (default to "upsert")
+            if (saveOptions.method) {
+                entity.method = saveOptions.method;
+            }
 
             if (!transaction) {
                 this.gstore.ds.save(entity, (err) => {
                     if (err) {
-                        return cb(err);
+                        return cb(saveMethodError(err, saveOptions.method, _this.entityKey));
                     }
 
                     _this.emit('save');
@@ -742,6 +1332,29 @@
                     throw Error('Transaction needs to be a gcloud Transaction');
                 }
 
+                /**
+                 * Inside a transaction the Datastore only returns an error on commit,
+                 * so we first check (in the transaction) if the entity exists
+                 */
+                if (cb && (saveOptions.method === 'insert' || saveOptions.method === 'update')) {
+                    return entityExists(this.entityKey, transaction, (err, exists) => {
+                        if (err) {
+                            return cb(err);
+                        }
+
+                        err = checkSaveMethod(saveOptions.method, _this.entityKey, exists);
+                        if (err) {
+                            return cb(err);
+                        }
+
+                        saveInTransaction();
+                    });
+                }
+
+                saveInTransaction();
+            }
+
+            function saveInTransaction() {
                 transaction.save(entity);
                 transaction.addHook('post', function() {
                     _this.emit('save');
@@ -753,178 +1366,589 @@
         }
 
         validate(cb) {
-            let errors = {};
-            const self   = this;
-            const schema = this.schema;
+            const result = validation.validate(this.entityData, this.schema, this.entityKind, this.entityKey);
 
-            let skip;
-            let schemaHasProperty;
-            let propertyValue;
-            let isValueEmpty;
-            let isRequired;
+            if (cb) {
+                cb(result);
+            } else {
+                return result;
+            }
+        }
+    }
 
-            Object.keys(this.entityData).forEach((k) => {
-                skip = false;
-                schemaHasProperty = schema.paths.hasOwnProperty(k);
-                propertyValue = self.entityData[k];
-                isValueEmpty = valueIsEmpty(propertyValue);
+    /**
+     *
+     * @param self {Model}
+     * @param schema {Schema}
+     * @returns {Model}
+     */
+    function applyMethods (self, schema) {
+        Object.keys(schema.methods).forEach((method) => {
+            self[method] = schema.methods[method];
+        });
+        return self;
+    }
 
-                if (typeof propertyValue === 'string') {
-                    propertyValue = propertyValue.trim();
-                }
+    function applyStatics(Model, schema) {
+        Object.keys(schema.statics).forEach((method) => {
+            if (typeof Model[method] !== 'undefined') {
+                throw new Error('`' + method + '` already declared as static.');
+            }
+            Model[method] = schema.statics[method];
+        });
+        return Model;
+    }
 
-                if (schema.virtuals.hasOwnProperty(k)) {
-                    // Virtual, remove it and skip the rest
-                    delete self.entityData[k];
-                    skip = true;
-                }
+    /**
+     * Remove the properties not declared or not writable in the Schema,
+     * going down into embedded entities (and arrays of embedded entities)
+     * @param data
+     * @param schema {Schema}
+     */
+    function sanitizeData(data, schema) {
+        Object.keys(data).forEach((k) => {
+            if (!schema.paths.hasOwnProperty(k) || schema.paths[k].write === false) {
+                delete data[k];
+            } else if (data[k] === 'null') {
+                data[k] = null;
+            } else {
+                sanitizeEmbedded(data[k], schema.paths[k]);
+            }
+        });
+    }
+
+    function sanitizeEmbedded(value, pathDef) {
+        if (is.object(pathDef.items) && is.array(value)) {
+            value.forEach((item) => {
+                sanitizeEmbedded(item, pathDef.items);
+            });
+        } else if (is.object(pathDef.type) && pathDef.type.instanceOfSchema && is.object(value)) {
+            sanitizeData(value, pathDef.type);
+        }
+    }
+
+    /**
+     * Update the dates of the entity before saving it
+     */
+    function beforeSave(self, options) {
+        if (self.schema.paths.hasOwnProperty('modifiedOn')) {
+            self.entityData.modifiedOn = new Date();
+        }
+
+        setTimestamps(self, options);
+    }
+
+    /**
+     * Execute the "pre" save hooks (including the validation) of an entity
+     * without saving it
+     */
+    function execPreSave(entity, cb) {
+        const pres = entity._pres && entity._pres.save ? entity._pres.save : [];
+
+        async.eachSeries(pres, (pre, next) => {
+            if (pre.isAsync) {
+                return pre(() => {}, next);
+            }
+            pre(next);
+        }, cb);
+    }
+
+    /**
+     * Set the creation date (if the entity does not have one yet) and the modification date
+     * of the Schema "timestamps" option, unless {timestamps: false} is passed in the options
+     * @param self : entity instance
+     * @param options : save options
+     */
+    function setTimestamps(self, options) {
+        const timestamps = self.schema.options.timestamps;
+
+        if (!timestamps || options.timestamps === false) {
+            return;
+        }
+
+        const now = new Date();
+
+        if (timestamps.createdAt &&
+            (self.entityData[timestamps.createdAt] === null || typeof self.entityData[timestamps.createdAt] === 'undefined')) {
+            self.entityData[timestamps.createdAt] = now;
+        }
+        if (timestamps.updatedAt) {
+            self.entityData[timestamps.updatedAt] = now;
+        }
+    }
 
-                // Properties dict
-                if (!schemaHasProperty && schema.options.explicitOnly === false) {
-                    // No more validation, key does not exist but it is allowed
-                    skip = true;
+    /**
+     * Save an entity inside a transaction after checking it against the Datastore:
+     * - with a "versionKey", its version must be the same as the version of the entity in the Datastore
+     * (if it exists), otherwise a ConcurrencyError is returned. The version is then incremented.
+     * - with "unique" constraints, the lookup entities of the new values are created (a UniqueConstraintError
+     * is returned if one of them belongs to another entity) and the ones of the previous values are deleted.
+     * If no transaction is passed, the check and the save are done in a new transaction.
+     * @param self : entity instance
+     * @param transaction (optional)
+     * @param saveOptions
+     * @param info : info returned in the callback
+     * @param checkVersion {Boolean}
+     * @param constraints : unique constraints of the Schema
+     * @param cb
+     */
+    function saveChecked(self, transaction, saveOptions, info, checkVersion, constraints, cb) {
+        const versionKey = self.schema.options.versionKey;
+
+        if (transaction) {
+            if (transaction.constructor.name !== 'Transaction') {
+                throw Error('Transaction needs to be a gcloud Transaction');
+            }
+
+            /**
+             * The entity is only added to the transaction once it has been checked (get in the transaction),
+             * the transaction must not be committed before the callback is called
+             */
+            if (!is.fn(cb)) {
+                throw new Error('A callback is required to save ' + self.entityKind +
+                    ' in a transaction, the transaction can only be committed once it has been called');
+            }
+
+            return completeKey((err) => {
+                if (err) {
+                    return cb(err);
                 }
 
-                if (!skip && !schemaHasProperty) {
-                    errors.properties = new Error ('Property not allowed {' + k + '} for ' + this.entityKind + ' Entity');
+                checkAndSave(transaction, (err) => {
+                    if (err) {
+                        return cb(err);
+                    }
+                    transaction.addHook('post', function() {
+                        self.emit('save');
+                    });
+                    cb(null, self, info);
+                });
+            });
+        }
+
+        const previousVersion = versionKey ? self.entityData[versionKey] : undefined;
+
+        completeKey((err) => {
+            if (err) {
+                return cb(err);
+            }
+
+            transaction = self.gstore.ds.transaction();
+            transaction.run((err) => {
+                if (err) {
+                    return cb(err);
                 }
 
-                // Properties type
-                if (!skip && schemaHasProperty && !isValueEmpty && schema.paths[k].hasOwnProperty('type')) {
-                    var typeValid = true;
-                    if (schema.paths[k].type === 'datetime') {
-                        // Validate datetime "format"
-                        let error = validateDateTime(propertyValue, k);
-                        if (error !== null) {
-                            errors.datetime = error;
-                        }
-                    } else {
-                        if (schema.paths[k].type === 'array') {
-                            // Array
-                            typeValid = is.array(propertyValue);
-                        } else if (schema.paths[k].type === 'int') {
-                            // Integer
-                            let isIntInstance = propertyValue.constructor.name === 'Int';
-                            if (isIntInstance) {
-                                typeValid = !isNaN(parseInt(propertyValue.value));
-                            } else {
-                                typeValid = isInt(propertyValue);
-                            }
-                        } else if (schema.paths[k].type === 'double') {
-                            // Double
-                            let isIntInstance = propertyValue.constructor.name === 'Double';
-                            if (isIntInstance) {
+                checkAndSave(transaction, (err) => {
+                    if (err) {
+                        return transaction.rollback(() => cb(err));
+                    }
 
-                                typeValid = isFloat(parseFloat(propertyValue.value, 10)) || isInt(parseFloat(propertyValue.value, 10));
-                            } else {
-                                typeValid = isFloat(propertyValue) || isInt(propertyValue);
+                    transaction.commit((err) => {
+                        if (err) {
+                            if (versionKey) {
+                                self.entityData[versionKey] = previousVersion;
                             }
-                        } else if (schema.paths[k].type === 'buffer') {
-                            // Double
-                            typeValid = propertyValue instanceof Buffer;
-                        } else if (schema.paths[k].type === 'geoPoint') {
-                            // GeoPoint
-                            typeValid = propertyValue.constructor.name === 'GeoPoint';
-                        } else {
-                            // Other
-                            typeValid = typeof propertyValue === schema.paths[k].type;
+                            return cb(err);
                         }
 
-                        if (!typeValid) {
-                            errors[k] = new GstoreError.ValidationError({
-                                message: 'Data type error for ' + k
-                            });
-                        }
-                    }
+                        self.emit('save');
+                        cb(null, self, info);
+                    });
+                });
+            });
+        });
+
+        //////////
+
+        /**
+         * The lookup entities reference the entity Key,
+         * so an entity without id gets one before being saved
+         */
+        function completeKey(done) {
+            const key = self.entityKey;
+
+            if (constraints.length === 0 || key.id || key.name) {
+                return done();
+            }
+
+            self.gstore.ds.allocateIds(key, 1, (err, keys) => {
+                if (err) {
+                    return done(err);
                 }
 
-                // Value Validation
+                self.entityKey = keys[0];
+                self.entityData[self.gstore.ds.KEY] = keys[0];
+                done();
+            });
+        }
 
-                // ...Required
-                isRequired = schemaHasProperty && schema.paths[k].hasOwnProperty('required') && schema.paths[k].required === true;
+        function checkAndSave(transaction, done) {
+            const key     = self.entityKey;
+            const version = versionKey ? self.entityData[versionKey] || 0 : undefined;
 
-                if (!skip && isRequired && isValueEmpty) {
-                    errors[k] = new GstoreError.ValidatorError({
-                        errorName: 'Required',
-                        message: 'Property {' + k + '} is required'
-                    });
+            // New entity without id, nothing to check
+            if (!key.id && !key.name) {
+                const err = checkSaveMethod(saveOptions.method, key, false);
+                return err ? done(err) : onVersion(version);
+            }
+
+            transaction.get(key, (err, stored) => {
+                if (err) {
+                    return done(err);
                 }
 
-                // ...Wrong format
-                if (!skip && schemaHasProperty && schema.paths[k].hasOwnProperty('validate') && self.entityData[k] && self.entityData[k] !== '' && self.entityData[k] !== null) {
-                    if (!validator[schema.paths[k].validate](self.entityData[k])) {
-                        errors[k] = new GstoreError.ValidatorError({
-                            message: 'Wrong format for property {' + k + '}'
-                        });
-                    }
+                err = checkSaveMethod(saveOptions.method, key, !!stored);
+                if (err) {
+                    return done(err);
                 }
 
-                // Preset values
-                if (!skip && schemaHasProperty && schema.paths[k].hasOwnProperty('values') && self.entityData[k] !== '') {
-                    if (schema.paths[k].values.indexOf(self.entityData[k]) < 0) {
-                        errors[k] = new Error('Value not allowed for ' + k + '. It must be in the range: ' + schema.paths[k].values);
-                    }
+                if (!checkVersion) {
+                    return checkUnique(transaction, stored, done);
                 }
+
+                const currentVersion = stored ? stored[versionKey] || 0 : version;
+
+                if (Number(version) !== currentVersion) {
+                    return done(new GstoreError.ConcurrencyError(key, version, currentVersion));
+                }
+
+                onVersion(currentVersion, stored);
             });
 
-            if (cb) {
-                var payload =  Object.keys(errors).length > 0 ? {success:false, errors:errors} : {success:true};
-                cb(payload);
-            } else {
-                return Object.keys(errors).length > 0 ? {success:false, errors:errors} : {success:true};
+            function onVersion(currentVersion, stored) {
+                if (checkVersion) {
+                    self.entityData[versionKey] = Number(currentVersion) + 1;
+                }
+                checkUnique(transaction, stored, done);
+            }
+        }
+
+        function checkUnique(transaction, stored, done) {
+            if (constraints.length === 0) {
+                return saveEntity(transaction, done);
             }
 
-            function validateDateTime(value, k) {
-                if (value.constructor.name !== 'Date' &&
-                    (typeof value !== 'string' ||
-                        !value.match(/\d{4}-\d{2}-\d{2}([ ,T])?(\d{2}:\d{2}:\d{2})?(\.\d{1,3})?/) ||
-                        !moment(value).isValid())) {
-                    return {
-                        error:'Wrong format',
-                        message: 'Wrong date format for ' + k
-                    };
+            const ds  = self.gstore.ds;
+            const key = self.entityKey;
+
+            let lookups  = uniqueHelpers.lookups(ds, key, constraints, self.entityData);
+            let current  = lookups.map((l) => keyHelpers.keyToString(l.key));
+            // Lookups of the previous values, to be released
+            let released = uniqueHelpers.lookups(ds, key, constraints, stored).filter((l) => {
+                return current.indexOf(keyHelpers.keyToString(l.key)) < 0;
+            });
+            let keys = lookups.concat(released).map((l) => l.key);
+
+            if (keys.length === 0) {
+                return saveEntity(transaction, done);
+            }
+
+            transaction.get(keys, (err, entities) => {
+                if (err) {
+                    return done(err);
                 }
-                return null;
+
+                let owners = {};
+                arrify(entities).forEach((entity) => {
+                    owners[keyHelpers.keyToString(entity[ds.KEY])] = entity.entityKey;
+                });
+
+                for (let i = 0; i < lookups.length; i++) {
+                    const owner = owners[current[i]];
+
+                    if (owner && !keyHelpers.sameKey(owner, key)) {
+                        const constraint = lookups[i].constraint;
+                        return done(new GstoreError.UniqueConstraintError(constraint.path, constraint.paths, lookups[i].values, key));
+                    }
+                }
+
+                lookups.forEach((l) => {
+                    transaction.save({
+                        key : l.key,
+                        data : [{name: 'entityKey', value: key, excludeFromIndexes: true}]
+                    });
+                });
+
+                released.forEach((l) => {
+                    const owner = owners[keyHelpers.keyToString(l.key)];
+
+                    // Don't release a value owned by another entity
+                    if (owner && keyHelpers.sameKey(owner, key)) {
+                        transaction.delete(l.key);
+                    }
+                });
+
+                saveEntity(transaction, done);
+            });
+        }
+
+        function saveEntity(transaction, done) {
+            let entity = {
+                key : self.entityKey,
+                data : datastoreSerializer.toDatastore(self.entityData, self.excludeFromIndexes)
+            };
+
+            if (saveOptions.method) {
+                entity.method = saveOptions.method;
             }
 
-            function isInt(n){
-                return Number(n) === n && n % 1 === 0;
+            transaction.save(entity);
+            done();
+        }
+    }
+
+    /**
+     * Delete, inside a transaction, the lookup entities of the unique constraints
+     * owned by the entities of the keys
+     */
+    function releaseLookups(Model, keys, transaction, cb) {
+        const ds          = Model.gstore.ds;
+        const constraints = uniqueHelpers.constraints(Model.schema);
+
+        transaction.get(keys, (err, entities) => {
+            if (err) {
+                return cb(err);
             }
 
-            function isFloat(n){
-                return Number(n) === n && n % 1 !== 0;
+            let lookups = [];
+            arrify(entities).forEach((entity) => {
+                lookups = lookups.concat(uniqueHelpers.lookups(ds, entity[ds.KEY], constraints, entity).map((l) => {
+                    return {key: l.key, owner: entity[ds.KEY]};
+                }));
+            });
+
+            if (lookups.length === 0) {
+                return cb();
             }
 
-            function valueIsEmpty(v) {
-                return v === null ||
-                        v === undefined ||
-                        typeof v === 'string' && v.trim().length === 0; 
+            transaction.get(lookups.map((l) => l.key), (err, entities) => {
+                if (err) {
+                    return cb(err);
+                }
 
+                let owners = {};
+                arrify(entities).forEach((entity) => {
+                    owners[keyHelpers.keyToString(entity[ds.KEY])] = entity.entityKey;
+                });
+
+                lookups.forEach((l) => {
+                    if (keyHelpers.sameKey(owners[keyHelpers.keyToString(l.key)], l.owner)) {
+                        transaction.delete(l.key);
+                    }
+                });
+                cb();
+            });
+        });
+    }
+
+    /**
+     * Check inside a transaction if an entity exists
+     * (an entity without id does not exist yet)
+     */
+    function entityExists(key, transaction, cb) {
+        if (!key.id && !key.name) {
+            return cb(null, false);
+        }
+
+        transaction.get(key, (err, entity) => {
+            if (err) {
+                return cb(err);
             }
+            cb(null, !!entity);
+        });
+    }
+
+    /**
+     * Error of the save "method" option for an entity that exists (insert) or not (update)
+     */
+    function checkSaveMethod(method, key, exists) {
+        if (method === 'insert' && exists) {
+            return new GstoreError.AlreadyExistsError(key);
         }
+        if (method === 'update' && !exists) {
+            return new GstoreError.NotFoundError(key);
+        }
+        return null;
     }
 
     /**
-     *
-     * @param self {Model}
-     * @param schema {Schema}
-     * @returns {Model}
+     * Convert the Datastore error of an "insert" or an "update". The client returns
+     * ALREADY_EXISTS as 409 (like a contention) and NOT_FOUND as 404,
+     * the raw gRPC codes (6 and 5) are accepted too
      */
-    function applyMethods (self, schema) {
-        Object.keys(schema.methods).forEach((method) => {
-            self[method] = schema.methods[method];
+    function saveMethodError(err, method, key) {
+        const alreadyExists = (err.code === 409 && !retryHelpers.isAborted(err)) || err.code === 6;
+        const notFound      = err.code === 404 || err.code === 5;
+
+        if (method === 'insert' && alreadyExists) {
+            return new GstoreError.AlreadyExistsError(key);
+        }
+        if (method === 'update' && notFound) {
+            return new GstoreError.NotFoundError(key);
+        }
+        return err;
+    }
+
+    /**
+     * Stream the entities of a query page by page: a page is only fetched
+     * when the entities of the previous one have been read (backpressure)
+     */
+    function streamQuery(self, query, options) {
+        let fetching = false;
+
+        // The query is copied to move its cursor without changing it
+        let pageQuery = copyQuery(query);
+
+        // The query limit is the total number of entities streamed, the pages have "pageSize" entities
+        const pageSize  = options.pageSize || STREAM_PAGE_SIZE;
+        let remaining   = pageQuery.limitVal > 0 ? pageQuery.limitVal : -1;
+
+        if (options.keysOnly) {
+            pageQuery.select('__key__');
+        }
+
+        let stream = new Readable({
+            objectMode : true,
+            read : fetchPage
         });
-        return self;
+
+        return stream;
+
+        //////////
+
+        function fetchPage() {
+            if (fetching) {
+                return;
+            }
+            fetching = true;
+
+            pageQuery.limit(remaining > 0 ? Math.min(pageSize, remaining) : pageSize);
+
+            self.gstore.ds.runQuery(pageQuery, (err, entities, info) => {
+                if (err) {
+                    return stream.emit('error', err);
+                }
+
+                queryResponse(self, entities, info, options, (err, response) => {
+                    if (err) {
+                        return stream.emit('error', err);
+                    }
+
+                    // With the "keysOnly" option the Keys are streamed
+                    const items = options.keysOnly ? response.keys : response.entities;
+
+                    items.forEach((item) => stream.push(item));
+
+                    if (remaining > 0) {
+                        remaining = Math.max(remaining - items.length, 0);
+                    }
+
+                    if (items.length === 0 || remaining === 0 || info.moreResults === ds.NO_MORE_RESULTS) {
+                        return stream.push(null);
+                    }
+
+                    pageQuery.start(info.endCursor);
+                    fetching = false;
+                });
+            });
+        }
     }
 
-    function applyStatics(Model, schema) {
-        Object.keys(schema.statics).forEach((method) => {
-            if (typeof Model[method] !== 'undefined') {
-                throw new Error('`' + method + '` already declared as static.');
+    /**
+     * Copy of a gcloud Query (its filters, orders and cursors can be changed without modifying it)
+     */
+    function copyQuery(query) {
+        return extend(true, Object.create(Object.getPrototypeOf(query)), query);
+    }
+
+    /**
+     * Response of a query: {entities, nextPageCursor}
+     * or {keys, ids, nextPageCursor} with the "keysOnly" option
+     */
+    function queryResponse(self, entities, info, options, cb) {
+        let response;
+
+        if (options.keysOnly) {
+            const keys = entities.map((entity) => entity[self.gstore.ds.KEY]);
+
+            response = {
+                keys : keys,
+                ids  : keys.map((key) => key.id || key.name)
+            };
+        } else {
+            response = {
+                entities : formatEntities(self, entities, options)
+            };
+        }
+
+        if (info.moreResults !== ds.NO_MORE_RESULTS) {
+            response.nextPageCursor = info.endCursor;
+        }
+
+        if (options.keysOnly) {
+            return cb(null, response);
+        }
+
+        populateResponse(self, response, options, cb);
+    }
+
+    /**
+     * Format the entities of a query with the "format" option (or the Schema queries setting):
+     * - 'JSON' (default): plain objects with their id, without the properties where "read" setting is set to false
+     * - 'ENTITY': Model instances
+     */
+    function formatEntities(self, entities, options) {
+        if (getFormat(self, options) === 'ENTITY') {
+            return entities.map((entity) => {
+                return self.__model(entity, null, null, null, entity[self.gstore.ds.KEY]);
+            });
+        }
+
+        return entities.map((entity) => {
+            return datastoreSerializer.fromDatastore.call(self, entity, options.readAll);
+        });
+    }
+
+    function getFormat(self, options) {
+        return options.format || self.schema.options.queries.format;
+    }
+
+    /**
+     * Populate the entities of a query response if the "populate" option is set
+     */
+    function populateResponse(self, response, options, cb) {
+        if (!options.populate) {
+            return cb(null, response);
+        }
+
+        const populate = getFormat(self, options) === 'ENTITY' ? populateHelpers.populateEntities : populateHelpers.populate;
+
+        populate(self.gstore, response.entities, options.populate, options, (err) => {
+            if (err) {
+                return cb(err);
             }
-            Model[method] = schema.statics[method];
+            cb(null, response);
         });
-        return Model;
+    }
+
+    /**
+     * Soft deleted entities are excluded unless the "withDeleted" option is set
+     */
+    function excludeDeleted(self, options) {
+        return self.schema.options.softDelete === true && !(options && options.withDeleted === true);
+    }
+
+    function isDeleted(entityData) {
+        return entityData.deletedAt !== null && typeof entityData.deletedAt !== 'undefined';
+    }
+
+    /**
+     * Options can be passed as an object literal in place of
+     * the optional arguments (ancestors, namespace, transaction...)
+     */
+    function isOptionsObject(arg) {
+        return is.object(arg) && arg.constructor.name === 'Object';
     }
 
     function arrayArguments(args) {
@@ -0,0 +1,241 @@
+(function() {
+    'use strict';
+
+    const is     = require('is');
+    const arrify = require('arrify');
+    const extend = require('extend');
+
+    const Readable = require('stream').Readable;
+
+    const Promise = require('bluebird');
+
+    const queryHelpers = require('./helper').QueryHelpers;
+
+    // Operators of the Datastore filters
+    const OPERATORS = {
+        eq  : '=',
+        gt  : '>',
+        gte : '>=',
+        lt  : '<',
+        lte : '<='
+    };
+
+    /**
+     * Chainable query of a Model, built with the same options as list()
+     * and run with exec() or as a Promise
+     *
+     * User.find().where('age').gt(18).sort('-createdOn').limit(20).exec(cb);
+     */
+    class QueryBuilder {
+        /**
+         * @param Model
+         * @param filters (optional) {property: value} or {property: {$gt: value}}
+         */
+        constructor(Model, filters) {
+            this.Model       = Model;
+            this.options     = {filters: []};
+            this.runOptions  = {};
+            this.currentPath = null;
+            this.errors      = [];
+
+            if (filters) {
+                this.where(filters);
+            }
+        }
+
+        /**
+         * where('age') : set the property of the next operator (eq(), gt()...)
+         * where('age', 18) or where('age', '>', 18) : add a filter
+         * where({name: 'John', age: {$gte: 18}}) : add filters (see findOne())
+         */
+        where(property, op, value) {
+            if (is.object(property)) {
+                let filters;
+                try {
+                    filters = queryHelpers.conditionsToFilters(property);
+                } catch (e) {
+                    this.errors.push(e.message);
+                    return this;
+                }
+
+                filters.forEach((filter) => this.where.apply(this, filter));
+                return this;
+            }
+
+            this.checkProperty(property);
+
+            if (arguments.length === 1) {
+                this.currentPath = property;
+            } else if (arguments.length === 2) {
+                this.options.filters.push([property, '=', op]);
+            } else {
+                this.options.filters.push([property, op, value]);
+            }
+
+            return this;
+        }
+
+        /**
+         * Sort by properties: '-createdOn name', ['-createdOn', 'name']
+         * or {createdOn: -1, name: 1} ("-" or -1 for descending)
+         */
+        sort(properties) {
+            let order = [];
+
+            if (is.object(properties)) {
+                Object.keys(properties).forEach((k) => {
+                    const direction = properties[k];
+                    order.push({property: k, descending: direction === -1 || direction === 'desc' || direction === 'descending'});
+                });
+            } else {
+                splitProperties(properties).forEach((p) => {
+                    const descending = p.charAt(0) === '-';
+                    order.push({property: descending ? p.slice(1) : p, descending: descending});
+                });
+            }
+
+            order.forEach((o) => this.checkProperty(o.property));
+            this.options.order = (this.options.order || []).concat(order);
+
+            return this;
+        }
+
+        /**
+         * Select the properties returned: 'name email' or ['name', 'email']
+         */
+        select(properties) {
+            const select = splitProperties(properties);
+
+            select.forEach((p) => this.checkProperty(p));
+            this.options.select = select;
+
+            return this;
+        }
+
+        limit(limit) {
+            this.options.limit = limit;
+            return this;
+        }
+
+        /**
+         * Start the query at a cursor (nextPageCursor of a previous query)
+         */
+        start(cursor) {
+            this.options.start = cursor;
+            return this;
+        }
+
+        ancestors(path) {
+            this.options.ancestors = path;
+            return this;
+        }
+
+        namespace(namespace) {
+            this.options.namespace = namespace;
+            return this;
+        }
+
+        /**
+         * Options of the query run: readAll, populate, withDeleted...
+         */
+        setOptions(options) {
+            extend(this.runOptions, options);
+            return this;
+        }
+
+        /**
+         * Run the query
+         * @param cb (optional)
+         * @returns {Promise} {entities, nextPageCursor}
+         */
+        exec(cb) {
+            return new Promise((resolve, reject) => {
+                if (this.errors.length > 0) {
+                    return reject(this.error());
+                }
+
+                this.build().run(this.runOptions, (err, response) => {
+                    return err ? reject(err) : resolve(response);
+                });
+            }).asCallback(cb);
+        }
+
+        /**
+         * Readable stream of all the entities of the query (see Model.query().stream())
+         */
+        stream() {
+            if (this.errors.length > 0) {
+                let stream = new Readable({objectMode: true, read: () => {}});
+                process.nextTick(() => stream.emit('error', this.error()));
+                return stream;
+            }
+
+            return this.build().stream(this.runOptions);
+        }
+
+        /**
+         * gcloud Query of the Model with the options set
+         */
+        build() {
+            const Model   = this.Model;
+            const options = extend({}, this.options);
+
+            let query = Model.query(options.namespace);
+            query = queryHelpers.buildFromOptions(query, options, Model.gstore.ds);
+
+            if (Model.schema.options.softDelete === true && this.runOptions.withDeleted !== true) {
+                query.filter('deletedAt', null);
+            }
+
+            return query;
+        }
+
+        error() {
+            return {
+                code : 400,
+                message : this.errors.join(', ')
+            };
+        }
+
+        then(onFulfilled, onRejected) {
+            return this.exec().then(onFulfilled, onRejected);
+        }
+
+        catch(onRejected) {
+            return this.exec().catch(onRejected);
+        }
+
+        /**
+         * Unknown properties (ex: from request parameters) are returned as an error by exec()
+         */
+        checkProperty(property) {
+            const schema = this.Model.schema;
+            const root   = property.split('.')[0];
+
+            if (property === '__key__' || schema.options.explicitOnly === false || schema.paths.hasOwnProperty(root)) {
+                return;
+            }
+
+            this.errors.push('Property {' + property + '} is not declared in ' + this.Model.entityKind + ' Schema');
+        }
+    }
+
+    Object.keys(OPERATORS).forEach((name) => {
+        QueryBuilder.prototype[name] = function(value) {
+            if (this.currentPath === null) {
+                throw new Error('where() must be called before ' + name + '()');
+            }
+            this.options.filters.push([this.currentPath, OPERATORS[name], value]);
+            return this;
+        };
+    });
+
+    function splitProperties(properties) {
+        if (is.string(properties)) {
+            properties = properties.split(/[\s,]+/);
+        }
+        return arrify(properties).filter((p) => p !== '');
+    }
+
+    module.exports = exports = QueryBuilder;
+})();
@@ -2,11 +2,14 @@
     'use strict';
 
     var extend       = require('extend');
+    var is           = require('is');
+    var arrify       = require('arrify');
     var utils        = require('./utils');
     var Kareem       = require('kareem');
 
-    var GstoreError = require('./error.js');
-    var VirtualType = require('./virtualType');
+    var GstoreError   = require('./error.js');
+    var VirtualType   = require('./virtualType');
+    var defaultValues = require('./helpers/defaultValues');
 
     class Schema {
         constructor(obj, options) {
@@ -19,6 +22,7 @@
             this.shortcutQueries  = {};
             this.paths            = {};
             this.callQueue        = [];
+            this.plugins          = [];
             this.options          = defaultOptions(options);
 
             this.s = {
@@ -35,9 +39,11 @@
                 //     obj[k].type = 'string';
                 // }
 
-                self.paths[k] = obj[k];
+                self.paths[k] = parsePath(obj[k]);
             });
 
+            addOptionsPaths(this);
+
             defaultMiddleware.forEach(function(m) {
                 self[m.kind](m.hook, !!m.isAsync, m.fn);
             });
@@ -91,10 +97,124 @@
                 throw new Error('`' + path + '` may not be used as a schema pathname');
             }
 
-            this.paths[path] = obj;
+            this.paths[path] = parsePath(obj);
+            return this;
+        }
+
+        /**
+         * Add paths to the Schema
+         * @param obj : object of path definitions
+         */
+        add (obj) {
+            Object.keys(obj).forEach((k) => {
+                this.path(k, obj[k]);
+            });
             return this;
         }
 
+        /**
+         * Return a copy of the Schema with its paths, methods, statics,
+         * virtuals, shortcut queries and hooks
+         */
+        clone () {
+            const schema = new Schema({}, this.options);
+
+            Object.keys(this.paths).forEach((k) => {
+                schema.paths[k] = copyPath(this.paths[k]);
+            });
+
+            schema.methods         = extend({}, this.methods);
+            schema.statics         = extend({}, this.statics);
+            schema.shortcutQueries = extend(true, {}, this.shortcutQueries);
+
+            Object.keys(this.virtuals).forEach((k) => {
+                let virtual = this.virtuals[k];
+                schema.virtuals[k] = new VirtualType(virtual.name, extend({}, virtual.options));
+                schema.virtuals[k].getter = virtual.getter;
+                schema.virtuals[k].setter = virtual.setter;
+            });
+
+            // The callQueue already contains the default middleware
+            schema.callQueue = this.callQueue.slice();
+            schema.plugins   = this.plugins.slice();
+            schema.s.hooks   = this.s.hooks.clone();
+
+            return schema;
+        }
+
+        /**
+         * Return a copy of the Schema with only the paths passed
+         * @param paths {Array} or {String}
+         */
+        pick (paths) {
+            paths = arrify(paths);
+            const schema = this.clone();
+
+            Object.keys(schema.paths).forEach((k) => {
+                if (paths.indexOf(k) < 0) {
+                    delete schema.paths[k];
+                }
+            });
+            return schema;
+        }
+
+        /**
+         * Return a copy of the Schema without the paths passed
+         * @param paths {Array} or {String}
+         */
+        omit (paths) {
+            const schema = this.clone();
+
+            arrify(paths).forEach((k) => {
+                delete schema.paths[k];
+            });
+            return schema;
+        }
+
+        /**
+         * Create a new Schema from a base Schema
+         * @param base {Schema}
+         * @param obj : object of path definitions to add
+         * @param options : options merged with the base Schema options
+         */
+        static extend (base, obj, options) {
+            const schema = base.clone();
+
+            schema.options = extend(true, schema.options, options);
+            addOptionsPaths(schema);
+            return schema.add(obj || {});
+        }
+
+        /**
+         * Apply a plugin to the Schema. A plugin is a function that receives
+         * the Schema and the options and can add paths, methods, statics, virtuals and hooks.
+         * A plugin function is only applied once on a Schema.
+         * @param fn
+         * @param options
+         */
+        plugin (fn, options) {
+            if (typeof fn !== 'function') {
+                throw new Error('A plugin must be a function');
+            }
+
+            if (this.plugins.some((p) => p.fn === fn)) {
+                return this;
+            }
+
+            this.plugins.push({fn: fn, options: options});
+            fn(this, options);
+            return this;
+        }
+
+        /**
+         * Convert the Schema to a JSON Schema (draft-07) document
+         */
+        toJSONSchema () {
+            return extend({
+                $schema: 'http://json-schema.org/draft-07/schema#'
+            }, schemaToJSONSchema(this));
+        }
+
         pre () {
             var hook = arguments[0];
 
@@ -128,6 +248,150 @@
         }
     }
 
+    /**
+     * An inline object of path definitions passed as "type" (of the path
+     * or of its array "items") is converted to an embedded Schema
+     * @param pathDef
+     */
+    function parsePath(pathDef) {
+        if (pathDef && is.object(pathDef.type) && !pathDef.type.instanceOfSchema) {
+            pathDef.type = new Schema(pathDef.type);
+        }
+        if (pathDef && is.object(pathDef.items)) {
+            parsePath(pathDef.items);
+        }
+        return pathDef;
+    }
+
+    /**
+     * Copy a path definition (and its embedded Schemas)
+     * @param pathDef
+     */
+    function copyPath(pathDef) {
+        const copy = extend({}, pathDef);
+
+        if (is.object(copy.type) && copy.type.instanceOfSchema) {
+            copy.type = copy.type.clone();
+        }
+        if (is.object(copy.items)) {
+            copy.items = copyPath(copy.items);
+        }
+        if (is.array(copy.values)) {
+            copy.values = copy.values.slice();
+        }
+        return copy;
+    }
+
+    /**
+     * Add the paths managed by gstore for the Schema options
+     * (unless they are already declared)
+     * @param schema
+     */
+    function addOptionsPaths(schema) {
+        const versionKey = schema.options.versionKey;
+
+        if (versionKey && !schema.paths.hasOwnProperty(versionKey)) {
+            schema.paths[versionKey] = {type: 'int', default: 0, excludeFromIndexes: true};
+        }
+
+        if (schema.options.timestamps) {
+            // timestamps: true or {createdAt: 'created', updatedAt: 'updated'}
+            const timestamps = extend({
+                createdAt: 'createdAt',
+                updatedAt: 'updatedAt'
+            }, is.object(schema.options.timestamps) ? schema.options.timestamps : {});
+
+            schema.options.timestamps = timestamps;
+
+            [timestamps.createdAt, timestamps.updatedAt].forEach((path) => {
+                if (path && !schema.paths.hasOwnProperty(path)) {
+                    schema.paths[path] = {type: 'datetime', write: false};
+                }
+            });
+        }
+
+        if (schema.options.softDelete === true) {
+            if (!schema.paths.hasOwnProperty('deletedAt')) {
+                schema.paths.deletedAt = {type: 'datetime', write: false};
+            }
+            if (!schema.paths.hasOwnProperty('deletedBy')) {
+                schema.paths.deletedBy = {write: false, excludeFromIndexes: true};
+            }
+        }
+    }
+
+    function schemaToJSONSchema(schema) {
+        let jsonSchema = {
+            type: 'object',
+            properties: {}
+        };
+        let required = [];
+
+        Object.keys(schema.paths).forEach((k) => {
+            jsonSchema.properties[k] = pathToJSONSchema(schema.paths[k]);
+            if (schema.paths[k].required === true) {
+                required.push(k);
+            }
+        });
+
+        if (required.length > 0) {
+            jsonSchema.required = required;
+        }
+        jsonSchema.additionalProperties = schema.options.explicitOnly === false;
+
+        return jsonSchema;
+    }
+
+    function pathToJSONSchema(pathDef) {
+        const type = pathDef.type;
+        let prop;
+
+        if (is.object(type) && type.instanceOfSchema) {
+            prop = schemaToJSONSchema(type);
+        } else {
+            prop = extend(true, {}, JSON_SCHEMA_TYPES[type]);
+        }
+
+        if (type === 'array' && is.object(pathDef.items)) {
+            prop.items = pathToJSONSchema(pathDef.items);
+        }
+
+        // Properties not required can be null
+        if (prop.type && pathDef.required !== true && !pathDef.hasOwnProperty('values')) {
+            prop.type = arrify(prop.type).concat('null');
+        }
+
+        if (is.array(pathDef.values)) {
+            prop.enum = pathDef.values.slice();
+        }
+
+        if (pathDef.hasOwnProperty('default') &&
+            !({}).hasOwnProperty.call(defaultValues.__map__, pathDef.default)) {
+            prop.default = pathDef.default;
+        }
+
+        Object.keys(JSON_SCHEMA_KEYWORDS).forEach((k) => {
+            if (pathDef.hasOwnProperty(k)) {
+                prop[JSON_SCHEMA_KEYWORDS[k]] = pathDef[k];
+            }
+        });
+
+        if (is.regexp(pathDef.match)) {
+            prop.pattern = pathDef.match.source;
+        }
+        if (pathDef.unique === true && type === 'array') {
+            prop.uniqueItems = true;
+        }
+        if (pathDef.write === false) {
+            prop.readOnly = true;
+        }
+        if (pathDef.read === false) {
+            prop.writeOnly = true;
+        }
+
+        return prop;
+    }
+
     /**
      * Merge options passed with the default option for Schemas
      * @param options
@@ -136,7 +400,8 @@
         let optionsDefault = {
             validateBeforeSave:true,
             queries : {
-                readAll : false
+                readAll : false,
+                format  : 'JSON'
             }
         };
         options = extend(true, {}, optionsDefault, options);
@@ -154,8 +419,7 @@
                 if (shouldValidate) {
                     this.validate((result) => {
                         if (!result.success) {
-                            delete result.success;
-                            next(result.errors[Object.keys(result.errors)[0]]);
+                            next(new GstoreError.ValidationError(this, result.errors));
                         } else {
                             next();
                         }
@@ -166,6 +430,36 @@
             }
         }
     ];
+    const JSON_SCHEMA_TYPES = {
+        string: {type: 'string'},
+        int: {type: 'integer'},
+        double: {type: 'number'},
+        boolean: {type: 'boolean'},
+        datetime: {type: 'string', format: 'date-time'},
+        array: {type: 'array'},
+        object: {type: 'object'},
+        buffer: {type: 'string', contentEncoding: 'base64'},
+        entityKey: {type: ['string', 'integer', 'array']},
+        geoPoint: {
+            type: 'object',
+            properties: {
+                latitude: {type: 'number'},
+                longitude: {type: 'number'}
+            },
+            required: ['latitude', 'longitude']
+        }
+    };
+
+    // gstore path options with their JSON Schema keyword
+    const JSON_SCHEMA_KEYWORDS = {
+        min: 'minimum',
+        max: 'maximum',
+        minLength: 'minLength',
+        maxLength: 'maxLength',
+        minItems: 'minItems',
+        maxItems: 'maxItems'
+    };
+
     const IS_QUERY_HOOK = {
         update : true,
         delete : true,
@@ -1,5 +1,7 @@
 'use strict';
 
+var is = require('is');
+
 function toDatastore(obj, nonIndexed) {
     nonIndexed  = nonIndexed || [];
     var results = [];
@@ -28,7 +30,7 @@ function fromDatastore(entity, readAll) {
 
     Object.keys(entity).forEach((k) => {
         if (readAll || !schema.paths.hasOwnProperty(k) || schema.paths[k].read !== false) {
-            data[k] = entity[k];
+            data[k] = readAll ? entity[k] : readEmbedded(entity[k], schema.paths[k]);
         }
     });
 
@@ -36,6 +38,34 @@ function fromDatastore(entity, readAll) {
 
     /////////
 
+    /**
+     * Return a copy of embedded entities without
+     * their properties where "read" is set to false
+     */
+    function readEmbedded(value, pathDef) {
+        if (pathDef && is.object(pathDef.items) && is.array(value)) {
+            // Array of embedded entities
+            return value.map((item) => {
+                return readEmbedded(item, pathDef.items);
+            });
+        }
+
+        if (!pathDef || !is.object(pathDef.type) || !pathDef.type.instanceOfSchema || !is.object(value)) {
+            return value;
+        }
+
+        const embedded = pathDef.type;
+        let result = {};
+
+        Object.keys(value).forEach((k) => {
+            if (!embedded.paths.hasOwnProperty(k) || embedded.paths[k].read !== false) {
+                result[k] = readEmbedded(value[k], embedded.paths[k]);
+            }
+        });
+
+        return result;
+    }
+
     function idFromKey(key) {
         return key.path[key.path.length - 1];
     }
@@ -116,6 +116,127 @@ describe('Entity', () => {
             expect(gstore.defaultValues.__handler__.calledOnce).be.true;
         });
 
+        it ('should set default values of embedded entities', () => {
+            schema = new Schema({
+                address: {type: {
+                    city: {type: 'string', default: 'London'},
+                    zip: {type: 'string'},
+                    state: {optional: true}
+                }}
+            });
+            let model = gstore.model('BlogPost', schema);
+            let address = {zip: 'W1'};
+
+            let entity = new model({address: address});
+
+            expect(entity.entityData.address).deep.equal({city: 'London', zip: 'W1'});
+            expect(address.city).not.exist;
+        });
+
+        describe('cast values', () => {
+            beforeEach(() => {
+                schema = new Schema({
+                    age: {type: 'int'},
+                    price: {type: 'double'},
+                    active: {type: 'boolean'},
+                    birthday: {type: 'datetime'},
+                    createdOn: {type: 'datetime'},
+                    location: {type: 'geoPoint'},
+                    code: {type: 'int', cast: false},
+                    address: {type: {zip: {type: 'int'}}},
+                    scores: {type: 'array', items: {type: 'double'}}
+                }, {cast: true});
+            });
+
+            it('should cast to the Schema types', () => {
+                let model = gstore.model('BlogPost', schema);
+
+                let entity = new model({
+                    age: '42',
+                    price: '7.5',
+                    active: 'false',
+                    birthday: '2016-01-20T10:30:00.000Z',
+                    createdOn: 1453285800000,
+                    location: {lat: '40.6894', lng: -74.0447},
+                    code: '123',
+                    address: {zip: '75001'},
+                    scores: ['1.5', 2]
+                });
+
+                expect(entity.entityData.age).equal(42);
+                expect(entity.entityData.price).equal(7.5);
+                expect(entity.entityData.active).equal(false);
+                expect(entity.entityData.birthday.getTime()).equal(1453285800000);
+                expect(entity.entityData.createdOn.getTime()).equal(1453285800000);
+                expect(entity.entityData.location.constructor.name).equal('GeoPoint');
+                expect(entity.entityData.location.value).deep.equal({latitude: 40.6894, longitude: -74.0447});
+                expect(entity.entityData.code).equal('123');
+                expect(entity.entityData.address.zip).equal(75001);
+                expect(entity.entityData.scores).deep.equal([1.5, 2]);
+            });
+
+            it('should not cast values that are not convertible', () => {
+                let model = gstore.model('BlogPost', schema);
+
+                let entity = new model({age: '4.2', price: 'abc', active: 'yes', birthday: '20/01/2016'});
+
+                expect(entity.entityData.age).equal('4.2');
+                expect(entity.entityData.price).equal('abc');
+                expect(entity.entityData.active).equal('yes');
+                expect(entity.entityData.birthday).equal('20/01/2016');
+            });
+
+            it('should allow to cast only some paths', () => {
+                schema = new Schema({
+                    age: {type: 'int', cast: true},
+                    code: {type: 'int'}
+                });
+                let model = gstore.model('BlogPost', schema);
+
+                let entity = new model({age: '42', code: '123'});
+
+                expect(entity.entityData.age).equal(42);
+                expect(entity.entityData.code).equal('123');
+            });
+        });
+
+        describe('entityKey properties', () => {
+            beforeEach(() => {
+                gstore.model('Author', new Schema({}));
+                schema = new Schema({
+                    author: {type: 'entityKey', ref: 'Author'},
+                    editors: {type: 'array', items: {type: 'entityKey', ref: 'Author'}}
+                });
+            });
+
+            it('should convert ids and key paths to Keys of the referenced Model', () => {
+                let model = gstore.model('BlogPost', schema);
+
+                let entity = new model({author: '123', editors: ['john', ['Company', 'gstore', 'Author', 456]]});
+
+                expect(entity.entityData.author.constructor.name).equal('Key');
+                expect(entity.entityData.author.path).deep.equal(['Author', 123]);
+                expect(entity.entityData.editors[0].path).deep.equal(['Author', 'john']);
+                expect(entity.entityData.editors[1].path).deep.equal(['Company', 'gstore', 'Author', 456]);
+            });
+
+            it('should create the Keys in the entity namespace', () => {
+                let model = gstore.model('BlogPost', schema);
+
+                let entity = new model({author: 123}, null, null, 'com.mydomain');
+
+                expect(entity.entityData.author.namespace).equal('com.mydomain');
+            });
+
+            it('should not convert key paths of another kind', () => {
+                let model = gstore.model('BlogPost', schema);
+
+                let entity = new model({author: ['User', 123]});
+
+                expect(entity.entityData.author).deep.equal(['User', 123]);
+            });
+        });
+
         it ('should not add default to optional properties', () => {
             schema = new Schema({
                 name:{type:'string'},
@@ -21,5 +21,9 @@ describe('Datastools Errors', () => {
     it('should have static errors', () => {
         expect(GstoreError.ValidationError).exist;
         expect(GstoreError.ValidatorError).exist;
+        expect(GstoreError.ConcurrencyError).exist;
+        expect(GstoreError.AlreadyExistsError).exist;
+        expect(GstoreError.NotFoundError).exist;
+        expect(GstoreError.UniqueConstraintError).exist;
     });
 });
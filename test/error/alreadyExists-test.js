@@ -0,0 +1,29 @@
+var chai = require('chai');
+var expect= chai.expect;
+
+var ds                 = require('@google-cloud/datastore')();
+var AlreadyExistsError = require('../../lib/error/alreadyExists');
+
+describe('AlreadyExistsError', () => {
+    "use strict";
+
+    it('should extend Error', () => {
+        expect(AlreadyExistsError.prototype.name).equal('Error');
+    });
+
+    it('should set the entity Key and the code', () => {
+        let key   = ds.key(['User', 'john']);
+        let error = new AlreadyExistsError(key);
+
+        expect(error.name).equal('AlreadyExistsError');
+        expect(error.message).equal('User {john} already exists');
+        expect(error.code).equal(409);
+        expect(error.entityKey).equal(key);
+    });
+
+    it('should return "Entity already exists" if called without param', () => {
+        let error = new AlreadyExistsError();
+
+        expect(error.message).equal('Entity already exists');
+    });
+});
@@ -0,0 +1,31 @@
+var chai = require('chai');
+var expect= chai.expect;
+
+var ds               = require('@google-cloud/datastore')();
+var ConcurrencyError = require('../../lib/error/concurrency');
+
+describe('ConcurrencyError', () => {
+    "use strict";
+
+    it('should extend Error', () => {
+        expect(ConcurrencyError.prototype.name).equal('Error');
+    });
+
+    it('should set the versions, the entity Key and the code', () => {
+        let key   = ds.key(['Blog', 123]);
+        let error = new ConcurrencyError(key, 2, 3);
+
+        expect(error.name).equal('ConcurrencyError');
+        expect(error.code).equal(409);
+        expect(error.message).equal('Blog {123} has been modified. Version 2 is stale, current version is 3');
+        expect(error.entityKey).equal(key);
+        expect(error.version).equal(2);
+        expect(error.currentVersion).equal(3);
+    });
+
+    it('should return "Entity has been modified" if called without param', () => {
+        let error = new ConcurrencyError();
+
+        expect(error.message).equal('Entity has been modified');
+    });
+});
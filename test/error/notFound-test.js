@@ -0,0 +1,28 @@
+var chai = require('chai');
+var expect= chai.expect;
+
+var ds            = require('@google-cloud/datastore')();
+var NotFoundError = require('../../lib/error/notFound');
+
+describe('NotFoundError', () => {
+    "use strict";
+
+    it('should extend Error', () => {
+        expect(NotFoundError.prototype.name).equal('Error');
+    });
+
+    it('should set the entity Key and the code', () => {
+        let key   = ds.key(['User', 123]);
+        let error = new NotFoundError(key);
+
+        expect(error.name).equal('NotFoundError');
+        expect(error.message).equal('User {123} not found');
+        expect(error.code).equal(404);
+        expect(error.entityKey).equal(key);
+    });
+
+    it('should return "Entity not found" if called without param or with a Key without id', () => {
+        expect(new NotFoundError().message).equal('Entity not found');
+        expect(new NotFoundError(ds.key(['User'])).message).equal('Entity not found');
+    });
+});
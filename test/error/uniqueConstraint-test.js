@@ -0,0 +1,38 @@
+var chai = require('chai');
+var expect= chai.expect;
+
+var ds                    = require('@google-cloud/datastore')();
+var UniqueConstraintError = require('../../lib/error/uniqueConstraint');
+
+describe('UniqueConstraintError', () => {
+    "use strict";
+
+    it('should extend Error', () => {
+        expect(UniqueConstraintError.prototype.name).equal('Error');
+    });
+
+    it('should set the path, the values and the code', () => {
+        let key   = ds.key(['User', 'john']);
+        let error = new UniqueConstraintError('email', ['email'], ['john@snow.com'], key);
+
+        expect(error.name).equal('UniqueConstraintError');
+        expect(error.message).equal('Unique constraint violation on {email}, the value already exists');
+        expect(error.code).equal(409);
+        expect(error.path).equal('email');
+        expect(error.paths).deep.equal(['email']);
+        expect(error.values).deep.equal(['john@snow.com']);
+        expect(error.entityKey).equal(key);
+    });
+
+    it('should name all the paths of a compound constraint', () => {
+        let error = new UniqueConstraintError('email', ['tenant', 'email']);
+
+        expect(error.message).equal('Unique constraint violation on {email}, the combination of tenant, email already exists');
+    });
+
+    it('should default the paths to the path', () => {
+        let error = new UniqueConstraintError('email');
+
+        expect(error.paths).deep.equal(['email']);
+    });
+});
@@ -33,6 +33,13 @@ describe('ValidationError', () => {
         expect(error.message).equal(entityKind + ' validation failed');
     });
 
+    it('should set the errors passed', () => {
+        let errors = {name: new Error('Wrong type')};
+        let error  = new ValidationError({}, errors);
+
+        expect(error.errors).equal(errors);
+    });
+
     it('should return "Validation failed" if called without param', () => {
         let error = new ValidationError();
 
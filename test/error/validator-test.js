@@ -32,6 +32,22 @@ describe('ValidatorError', () => {
         expect(error.message.errorName).equal(errorData.errorName);
     });
 
+    it('should expose the code, rule, path and value of the error', () => {
+        let error = new ValidatorError({
+            errorName: 'Required',
+            message: 'Property {name} is required',
+            code: 'ERR_PROP_REQUIRED',
+            rule: 'required',
+            path: 'name',
+            value: null
+        });
+
+        expect(error.code).equal('ERR_PROP_REQUIRED');
+        expect(error.rule).equal('required');
+        expect(error.path).equal('name');
+        expect(error.value).equal(null);
+    });
+
     it('should return "Validation failed" if called without param', () => {
         let error = new ValidatorError();
 
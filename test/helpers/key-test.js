@@ -0,0 +1,55 @@
+const chai   = require('chai');
+const expect = chai.expect;
+const sinon  = require('sinon');
+
+const ds         = require('@google-cloud/datastore')();
+const keyHelpers = require('../../lib/helper').KeyHelpers;
+
+describe('Key Helpers', () => {
+    "use strict";
+
+    it('should check if a value is a Key', () => {
+        expect(keyHelpers.isKey(ds.key(['User', 1]))).be.true;
+        expect(keyHelpers.isKey({kind: 'User', path: ['User', 1]})).be.false;
+        expect(keyHelpers.isKey(null)).be.false;
+    });
+
+    it('should convert a Key to a string', () => {
+        expect(keyHelpers.keyToString(ds.key(['Company', 'acme', 'User', 1]))).equal(':Company/acme/User/1');
+        expect(keyHelpers.keyToString(ds.key({namespace: 'ns', path: ['User', 1]}))).equal('ns:User/1');
+    });
+
+    it('should compare the keys', () => {
+        expect(keyHelpers.sameKey(ds.key(['User', 1]), ds.key(['User', 1]))).be.true;
+        expect(keyHelpers.sameKey(ds.key(['User', 1]), ds.key(['User', 2]))).be.false;
+        expect(keyHelpers.sameKey(ds.key({namespace: 'ns', path: ['User', 1]}), ds.key(['User', 1]))).be.false;
+        expect(keyHelpers.sameKey(undefined, ds.key(['User', 1]))).be.false;
+    });
+
+    describe('getByChunks()', () => {
+        it('should fetch the keys by chunks of 1000', (done) => {
+            let keys = [];
+            for (let i = 1; i <= 2500; i++) {
+                keys.push(ds.key(['User', i]));
+            }
+            const store = {get: sinon.spy((chunk, cb) => cb(null, [{}]))};
+
+            keyHelpers.getByChunks(store, keys, (err, entities) => {
+                expect(store.get.callCount).equal(3);
+                expect(store.get.getCall(2).args[0].length).equal(500);
+                expect(entities.length).equal(3);
+                done();
+            });
+        });
+
+        it('should return the Datastore error', (done) => {
+            const error = {code: 500};
+            const store = {get: (chunk, cb) => cb(error)};
+
+            keyHelpers.getByChunks(store, [ds.key(['User', 1])], (err) => {
+                expect(err).equal(error);
+                done();
+            });
+        });
+    });
+});
@@ -0,0 +1,137 @@
+const chai   = require('chai');
+const expect = chai.expect;
+const sinon  = require('sinon');
+
+const ds = require('../mocks/datastore')({
+    namespace : 'com.mydomain'
+});
+
+const gstore          = require('../../lib');
+const Schema          = require('../../lib').Schema;
+const populateHelpers = require('../../lib/helper').PopulateHelpers;
+
+describe('Populate Helpers', () => {
+    "use strict";
+
+    let user1;
+    let user2;
+    let items;
+
+    beforeEach(() => {
+        gstore.models       = {};
+        gstore.modelSchemas = {};
+        gstore.connect(ds);
+
+        gstore.model('User', new Schema({
+            name: {type: 'string'},
+            password: {type: 'string', read: false}
+        }));
+
+        user1 = {name: 'John', password: 'xxx'};
+        user1[ds.KEY] = ds.key(['User', 1]);
+        user2 = {name: 'Mick', password: 'yyy'};
+        user2[ds.KEY] = ds.key(['User', 2]);
+
+        items = [
+            {title: 'Post 1', author: ds.key(['User', 1]), comments: [{user: ds.key(['User', 2])}, {user: ds.key(['User', 3])}]},
+            {title: 'Post 2', author: ds.key(['User', 2]), editors: [ds.key(['User', 1]), ds.key(['User', 2])]}
+        ];
+
+        sinon.stub(ds, 'get', (keys, cb) => {
+            cb(null, [user1, user2]);
+        });
+    });
+
+    afterEach(() => {
+        ds.get.restore();
+    });
+
+    it('should fetch all the keys in a single batch', (done) => {
+        populateHelpers.populate(gstore, items, ['author', 'comments.user', 'editors'], {}, () => {
+            expect(ds.get.calledOnce).be.true;
+            expect(ds.get.getCall(0).args[0].map((k) => k.id)).deep.equal([1, 2, 3]);
+            done();
+        });
+    });
+
+    it('should fetch the keys by chunks of 1000', (done) => {
+        let posts = [];
+        for (let i = 1; i <= 1500; i++) {
+            posts.push({author: ds.key(['User', i])});
+        }
+
+        populateHelpers.populate(gstore, posts, 'author', {}, (err) => {
+            expect(err).not.exist;
+            expect(ds.get.callCount).equal(2);
+            expect(ds.get.getCall(0).args[0].length).equal(1000);
+            expect(ds.get.getCall(1).args[0].length).equal(500);
+            expect(posts[1].author.name).equal('Mick');
+            expect(posts[1499].author).equal(null);
+            done();
+        });
+    });
+
+    it('should replace the keys by the referenced entities data', (done) => {
+        populateHelpers.populate(gstore, items, ['author', 'comments.user', 'editors'], {}, (err, result) => {
+            expect(result).equal(items);
+            expect(items[0].author.id).equal(1);
+            expect(items[0].author.name).equal('John');
+            expect(items[1].author.name).equal('Mick');
+            expect(items[0].comments[0].user.name).equal('Mick');
+            expect(items[1].editors.map((e) => e.id)).deep.equal([1, 2]);
+            done();
+        });
+    });
+
+    it('should hydrate through the referenced Model serializer', (done) => {
+        populateHelpers.populate(gstore, items, 'author', {}, () => {
+            expect(items[0].author.password).not.exist;
+
+            populateHelpers.populate(gstore, [{author: ds.key(['User', 1])}], 'author', {readAll: true}, (err, result) => {
+                expect(result[0].author.password).equal('xxx');
+                done();
+            });
+        });
+    });
+
+    it('should set missing references to null', (done) => {
+        populateHelpers.populate(gstore, items, 'comments.user', {}, () => {
+            expect(items[0].comments[1].user).equal(null);
+            done();
+        });
+    });
+
+    it('should populate Model instances without modifying their entityData', (done) => {
+        const Post = gstore.model('Post', new Schema({title: {}, author: {}, comments: {}, editors: {}}));
+        const post = new Post(items[0]);
+
+        populateHelpers.populateEntities(gstore, [post], ['author', 'comments.user'], {}, () => {
+            expect(post.populated.author.name).equal('John');
+            expect(post.populated.comments[0].user.name).equal('Mick');
+            expect(post.get('author').name).equal('John');
+            expect(post.entityData.author.constructor.name).equal('Key');
+            expect(post.entityData.comments[0].user.constructor.name).equal('Key');
+            done();
+        });
+    });
+
+    it('should not call the Datastore if there are no keys', (done) => {
+        populateHelpers.populate(gstore, [{title: 'Post'}], ['author'], {}, () => {
+            expect(ds.get.called).be.false;
+            done();
+        });
+    });
+
+    it('should return the Datastore error', (done) => {
+        ds.get.restore();
+        let error = {code: 500, message: 'Server error'};
+        sinon.stub(ds, 'get', (keys, cb) => {
+            cb(error);
+        });
+
+        populateHelpers.populate(gstore, items, 'author', {}, (err) => {
+            expect(err).equal(error);
+            done();
+        });
+    });
+});
@@ -161,4 +161,34 @@ describe('Query Helpers', () => {
             expect(query.startVal).equal(options.start);
         });
     });
+
+    describe('should convert conditions to filters', () => {
+        it('with equality and operators', () => {
+            const key = ds.key(['User', 1]);
+            let filters = queryHelpers.conditionsToFilters({
+                name   : 'John',
+                age    : {$gt: 18, $lte: 65},
+                score  : {$eq: 10, $gte: 1, $lt: 100},
+                author : key,
+                prefs  : {theme: 'dark'}
+            });
+
+            expect(filters).deep.equal([
+                ['name', '=', 'John'],
+                ['age', '>', 18],
+                ['age', '<=', 65],
+                ['score', '=', 10],
+                ['score', '>=', 1],
+                ['score', '<', 100],
+                ['author', '=', key],
+                ['prefs', '=', {theme: 'dark'}]
+            ]);
+        });
+
+        it('and throw error for an unknown operator', () => {
+            let fn = () => queryHelpers.conditionsToFilters({age: {$in: [1, 2]}});
+
+            expect(fn).to.throw('Unknown operator $in {age}');
+        });
+    });
 });
@@ -0,0 +1,94 @@
+const chai   = require('chai');
+const expect = chai.expect;
+const sinon  = require('sinon');
+
+const retryHelpers = require('../../lib/helper').RetryHelpers;
+
+describe('Retry Helpers', () => {
+    "use strict";
+
+    let clock;
+    // Error as returned by the Datastore client (gRPC code 10 converted to HTTP 409)
+    const aborted = {code: 409, message: 'too much contention on these datastore entities. please try again.'};
+
+    beforeEach(() => {
+        clock = sinon.useFakeTimers();
+    });
+
+    afterEach(() => {
+        clock.restore();
+    });
+
+    it('should merge the policies', () => {
+        let policy = retryHelpers.policy({retries: 3, maxDelay: 1000}, undefined, {retries: 5, other: true});
+
+        expect(policy).deep.equal({retries: 5, backoff: 'exponential', delay: 100, maxDelay: 1000});
+    });
+
+    it('should not retry by default', () => {
+        let fn = sinon.spy((done) => done(aborted));
+        let cb = sinon.spy();
+
+        retryHelpers.run(retryHelpers.policy(), fn, cb);
+
+        expect(fn.calledOnce).be.true;
+        expect(cb.calledWithExactly(aborted)).be.true;
+    });
+
+    it('should retry ABORTED errors after a delay', () => {
+        let attempts = 0;
+        let fn = sinon.spy((done) => {
+            attempts += 1;
+            return attempts < 3 ? done(aborted) : done(null, 'result');
+        });
+        let cb = sinon.spy();
+
+        retryHelpers.run(retryHelpers.policy({retries: 5}), fn, cb);
+
+        expect(fn.callCount).equal(1);
+        clock.tick(100);
+        expect(fn.callCount).equal(2);
+        clock.tick(199);
+        expect(fn.callCount).equal(2);
+        clock.tick(1);
+        expect(fn.callCount).equal(3);
+        expect(cb.calledWithExactly(null, 'result')).be.true;
+    });
+
+    it('should stop after the number of retries', () => {
+        let fn = sinon.spy((done) => done(aborted));
+        let cb = sinon.spy();
+
+        retryHelpers.run(retryHelpers.policy({retries: 2, backoff: 'fixed'}), fn, cb);
+        clock.tick(200);
+
+        expect(fn.callCount).equal(3);
+        expect(cb.calledWithExactly(aborted)).be.true;
+    });
+
+    it('should not retry other errors', () => {
+        let fn = sinon.spy((done) => done({code: 409, message: 'entity already exists'}));
+
+        retryHelpers.run(retryHelpers.policy({retries: 2}), fn, () => {});
+
+        expect(fn.calledOnce).be.true;
+    });
+
+    it('should detect the transactions aborted because of contention', () => {
+        expect(retryHelpers.isAborted(aborted)).be.true;
+        expect(retryHelpers.isAborted({code: 409, message: 'Aborted due to cross-transaction contention'})).be.true;
+        expect(retryHelpers.isAborted({code: 10, message: 'ABORTED'})).be.true;
+        expect(retryHelpers.isAborted({code: 409, message: 'entity already exists'})).be.false;
+        expect(retryHelpers.isAborted({code: 404, message: 'no entity to update'})).be.false;
+        expect(retryHelpers.isAborted(null)).be.false;
+    });
+
+    it('should compute the delay', () => {
+        let policy = retryHelpers.policy({delay: 100, maxDelay: 500});
+
+        expect(retryHelpers.getDelay(policy, 0)).equal(100);
+        expect(retryHelpers.getDelay(policy, 2)).equal(400);
+        expect(retryHelpers.getDelay(policy, 3)).equal(500);
+        expect(retryHelpers.getDelay(retryHelpers.policy({backoff: 'fixed'}), 3)).equal(100);
+    });
+});
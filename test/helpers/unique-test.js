@@ -0,0 +1,62 @@
+const chai   = require('chai');
+const expect = chai.expect;
+
+const ds            = require('@google-cloud/datastore')();
+const Schema        = require('../../lib').Schema;
+const uniqueHelpers = require('../../lib/helper').UniqueHelpers;
+
+describe('Unique Helpers', () => {
+    "use strict";
+
+    describe('constraints()', () => {
+        it('should return the unique and compound constraints', () => {
+            let schema = new Schema({
+                email    : {unique: true},
+                tenant   : {unique: ['tenant', 'username']},
+                username : {unique: ['username', 'tenant']},
+                tags     : {type: 'array', unique: true},
+                name     : {}
+            });
+
+            expect(uniqueHelpers.constraints(schema)).deep.equal([
+                {path: 'email', paths: ['email']},
+                {path: 'tenant', paths: ['tenant', 'username']}
+            ]);
+        });
+    });
+
+    describe('lookups()', () => {
+        const constraints = [{path: 'email', paths: ['email']}, {path: 'username', paths: ['tenant', 'username']}];
+
+        it('should return the lookup keys of the values', () => {
+            const key  = ds.key({namespace: 'ns', path: ['User', 123]});
+            const date = new Date('2017-01-01');
+            let lookups = uniqueHelpers.lookups(ds, key, constraints, {email: date, tenant: ds.key(['Tenant', 1]), username: 'john'});
+
+            expect(lookups.length).equal(2);
+            expect(lookups[0].key.kind).equal('GstoreUnique');
+            expect(lookups[0].key.namespace).equal('ns');
+            expect(lookups[0].key.name).equal('User:email:2017-01-01T00:00:00.000Z');
+            expect(lookups[1].key.name).equal('User:tenant+username::Tenant/1|"john"');
+            expect(lookups[1].values).deep.equal([ds.key(['Tenant', 1]), 'john']);
+            expect(lookups[1].constraint).equal(constraints[1]);
+        });
+
+        it('should hash the values too long for a key name', () => {
+            const key   = ds.key(['User', 123]);
+            const email = new Array(2000).join('a');
+            let lookups = uniqueHelpers.lookups(ds, key, constraints, {email: email});
+
+            expect(lookups[0].key.name).match(/^User:email:sha256:[0-9a-f]{64}$/);
+            expect(uniqueHelpers.lookups(ds, key, constraints, {email: email})[0].key.name).equal(lookups[0].key.name);
+            expect(uniqueHelpers.lookups(ds, key, constraints, {email: email + 'b'})[0].key.name).not.equal(lookups[0].key.name);
+        });
+
+        it('should ignore the constraints with an empty value', () => {
+            const key = ds.key(['User', 123]);
+
+            expect(uniqueHelpers.lookups(ds, key, constraints, {email: '', tenant: 'acme'})).deep.equal([]);
+            expect(uniqueHelpers.lookups(ds, key, constraints, undefined)).deep.equal([]);
+        });
+    });
+});
@@ -0,0 +1,91 @@
+const chai   = require('chai');
+const expect = chai.expect;
+
+const updateHelpers = require('../../lib/helper').UpdateHelpers;
+
+describe('Update Helpers', () => {
+    "use strict";
+
+    let entity;
+
+    beforeEach(() => {
+        entity = {
+            name: 'John',
+            views: 10,
+            tags: ['a', 'b'],
+            stats: {likes: 3},
+            tmp: 'xxx',
+            birthday: new Date('1990-01-01')
+        };
+    });
+
+    it('should merge the properties', () => {
+        let error = updateHelpers.applyUpdate(entity, {name: 'Mick', age: 42});
+
+        expect(error).equal(null);
+        expect(entity.name).equal('Mick');
+        expect(entity.age).equal(42);
+        expect(entity.views).equal(10);
+    });
+
+    it('$inc', () => {
+        updateHelpers.applyUpdate(entity, {$inc: {views: 1, 'stats.likes': -1, comments: 2}});
+
+        expect(entity.views).equal(11);
+        expect(entity.stats.likes).equal(2);
+        expect(entity.comments).equal(2);
+    });
+
+    it('$push', () => {
+        updateHelpers.applyUpdate(entity, {$push: {tags: 'a', list: {$each: ['x', 'y']}}});
+
+        expect(entity.tags).deep.equal(['a', 'b', 'a']);
+        expect(entity.list).deep.equal(['x', 'y']);
+    });
+
+    it('$addToSet', () => {
+        updateHelpers.applyUpdate(entity, {$addToSet: {tags: {$each: ['b', 'c', 'c']}}});
+
+        expect(entity.tags).deep.equal(['a', 'b', 'c']);
+    });
+
+    it('$pull', () => {
+        entity.tags.push('c');
+        updateHelpers.applyUpdate(entity, {$pull: {tags: ['a', 'c'], missing: 'a'}});
+
+        expect(entity.tags).deep.equal(['b']);
+        expect(entity.missing).not.exist;
+    });
+
+    it('$unset', () => {
+        updateHelpers.applyUpdate(entity, {$unset: ['tmp', 'stats.likes']});
+
+        expect(entity.hasOwnProperty('tmp')).be.false;
+        expect(entity.stats).deep.equal({});
+
+        updateHelpers.applyUpdate(entity, {$unset: 'name'});
+        expect(entity.name).not.exist;
+    });
+
+    it('$min and $max', () => {
+        updateHelpers.applyUpdate(entity, {
+            $min: {views: 5, birthday: new Date('2000-01-01'), lowest: 3},
+            $max: {'stats.likes': 10}
+        });
+
+        expect(entity.views).equal(5);
+        expect(entity.birthday).deep.equal(new Date('1990-01-01'));
+        expect(entity.lowest).equal(3);
+        expect(entity.stats.likes).equal(10);
+    });
+
+    it('should return an error if an operator can\'t be applied', () => {
+        expect(updateHelpers.applyUpdate(entity, {$inc: {name: 1}})).deep.equal({
+            code: 400,
+            message: '$inc can only be applied with a number to a numeric property {name}'
+        });
+        expect(updateHelpers.applyUpdate(entity, {$push: {views: 1}}).code).equal(400);
+        expect(updateHelpers.applyUpdate(entity, {$inc: 1}).message).equal('Operator $inc must be an object');
+        expect(updateHelpers.applyUpdate(entity, {$rename: {name: 'fullname'}}).message).equal('Unknown update operator $rename');
+    });
+});
@@ -21,6 +21,7 @@ describe('Datastools', function() {
         expect(gstore.models).to.exist;
         expect(gstore.modelSchemas).to.exist;
         expect(gstore.options).to.exist;
+        expect(gstore.plugins).deep.equal([]);
         expect(gstore.Schema).to.exist;
     });
 
@@ -118,6 +119,54 @@ describe('Datastools', function() {
         });
     });
 
+    describe('plugin()', () => {
+        beforeEach(() => {
+            gstore.models       = {};
+            gstore.modelSchemas = {};
+            gstore.plugins      = [];
+        });
+
+        afterEach(() => {
+            gstore.plugins = [];
+        });
+
+        it('should apply global plugins to the Schemas before compiling the Model', () => {
+            let options = {path: 'createdBy'};
+            let plugin  = sinon.spy((schema, opts) => {
+                schema.path(opts.path, {type: 'string'});
+                schema.statics.findByCreator = () => {};
+                schema.method('isOwner', () => true);
+            });
+
+            gstore.plugin(plugin, options);
+            let Blog = gstore.model('Blog', new gstore.Schema({title: {type: 'string'}}));
+
+            expect(plugin.calledOnce).be.true;
+            expect(plugin.getCall(0).args[1]).equal(options);
+            expect(Blog.schema.paths.createdBy).exist;
+            expect(Blog.findByCreator).exist;
+            expect(new Blog({}).isOwner()).be.true;
+        });
+
+        it('should only apply a plugin once on a Schema', () => {
+            let plugin = sinon.spy();
+            let schema = new gstore.Schema({});
+            schema.plugin(plugin);
+
+            gstore.plugin(plugin);
+            gstore.model('Blog', schema);
+            gstore.model('Image', schema);
+
+            expect(plugin.calledOnce).be.true;
+        });
+
+        it('should throw an error if plugin is not a function', () => {
+            let fn = () => gstore.plugin('plugin');
+
+            expect(fn).to.throw(Error);
+        });
+    });
+
     it('should return the models names', () => {
         gstore.models = {Blog:{}, Image:{}};
 
@@ -138,6 +187,117 @@ describe('Datastools', function() {
         expect(gstore.ds).equal(ds);
     });
 
+    it('should save many entities with Model.saveMany()', () => {
+        let entities = [];
+        let cb       = () => {};
+        sinon.stub(Model, 'saveMany');
+
+        gstore.save(entities, {method: 'insert'}, cb);
+
+        expect(Model.saveMany.calledWithExactly(entities, {method: 'insert'}, cb)).be.true;
+        Model.saveMany.restore();
+    });
+
+    describe('runInTransaction()', () => {
+        let transaction;
+
+        beforeEach(() => {
+            gstore.connect(ds);
+            gstore.options = {};
+
+            function Transaction() {
+                this.run      = sinon.spy((cb) => cb());
+                this.commit   = sinon.spy((cb) => cb());
+                this.rollback = sinon.spy((cb) => cb());
+            }
+            transaction = new Transaction();
+            sinon.stub(ds, 'transaction', () => transaction);
+        });
+
+        afterEach(() => {
+            ds.transaction.restore();
+        });
+
+        it('should run the function in a transaction and commit it', () => {
+            let postHook = sinon.spy();
+
+            return gstore.runInTransaction((tx) => {
+                expect(tx).equal(transaction);
+                expect(transaction.run.called).be.true;
+                tx.addHook('post', postHook);
+                return Promise.resolve('result');
+            }).then((result) => {
+                expect(result).equal('result');
+                expect(transaction.commit.called).be.true;
+                expect(transaction.rollback.called).be.false;
+                expect(postHook.calledAfter(transaction.commit)).be.true;
+            });
+        });
+
+        it('should accept a function with a callback', (done) => {
+            gstore.runInTransaction((tx, cb) => {
+                cb(null, 'result');
+            }, (err, result) => {
+                expect(err).not.exist;
+                expect(result).equal('result');
+                expect(transaction.commit.called).be.true;
+                done();
+            });
+        });
+
+        it('should rollback the transaction if the function fails', () => {
+            let error    = new Error('Houston we got a problem');
+            let postHook = sinon.spy();
+
+            return gstore.runInTransaction((tx) => {
+                tx.addHook('post', postHook);
+                throw error;
+            }).catch((err) => {
+                expect(err).equal(error);
+                expect(transaction.rollback.called).be.true;
+                expect(transaction.commit.called).be.false;
+                expect(postHook.called).be.false;
+            });
+        });
+
+        it('should retry the function in a new transaction if the commit is aborted', () => {
+            let calls = 0;
+            transaction.commit = sinon.spy((cb) => {
+                return calls < 2 ? cb({code: 409, message: 'too much contention on these datastore entities. please try again.'}) : cb();
+            });
+
+            return gstore.runInTransaction(() => {
+                calls += 1;
+                return calls;
+            }, {retries: 2, delay: 1}).then((result) => {
+                expect(result).equal(2);
+                expect(ds.transaction.callCount).equal(2);
+            });
+        });
+
+        it('should not retry the other conflicts', () => {
+            transaction.commit = sinon.spy((cb) => cb({code: 409, message: 'entity already exists'}));
+
+            return gstore.runInTransaction(() => {}, {retries: 2, delay: 1}).then(() => {
+                throw new Error('should have failed');
+            }, (err) => {
+                expect(err.code).equal(409);
+                expect(ds.transaction.callCount).equal(1);
+            });
+        });
+
+        it('should discard the changes of a read-only transaction', () => {
+            return gstore.runInTransaction(() => {}, {readOnly: true}).then(() => {
+                expect(transaction.rollback.called).be.true;
+                expect(transaction.commit.called).be.false;
+            });
+        });
+
+        it('should throw an error if no function is passed', () => {
+            expect(() => gstore.runInTransaction()).to.throw(Error);
+        });
+    });
+
     it('should create shortcut of datastore.transaction', () => {
         gstore.connect(ds);
         sinon.spy(ds, 'transaction');
@@ -146,5 +306,6 @@ describe('Datastools', function() {
 
         expect(ds.transaction.called).be.true;
         expect(transaction.constructor.name).equal('Transaction');
+        ds.transaction.restore();
     });
 });
@@ -25,6 +25,10 @@ class Datastore {
         return cb(null);
     }
 
+    allocateIds(incompleteKey, n, cb) {
+        return cb(null, []);
+    }
+
     createQuery() {
         return googleDatastore.createQuery.apply(googleDatastore, arguments);
     }
@@ -225,6 +225,33 @@ describe('Model', function() {
             expect(data.name).equal(null);
         });
 
+        it('should sanitize embedded entities', () => {
+            schema = new Schema({
+                address: {type: {
+                    street: {type: 'string'},
+                    code: {type: 'string', write: false}
+                }}
+            });
+            ModelInstance = Model.compile('Blog', schema, gstore);
+            let data = {address: {street: 'Baker street', code: 'abc', unknown: 'null'}};
+
+            data = ModelInstance.sanitize(data);
+
+            expect(data.address).deep.equal({street: 'Baker street'});
+        });
+
+        it('should cast values if "cast" option is set', () => {
+            schema = new Schema({
+                age: {type: 'int'},
+                active: {type: 'boolean', write: false}
+            }, {cast: true});
+            ModelInstance = Model.compile('Blog', schema, gstore);
+
+            let data = ModelInstance.sanitize({age: '42', active: 'true'});
+
+            expect(data).deep.equal({age: 42});
+        });
+
         it('return null if data is not an object', () => {
             let data = 'hello';
 
@@ -234,6 +261,16 @@ describe('Model', function() {
         });
     });
 
+    describe('toJSONSchema()', () => {
+        it('should convert the Model Schema with the entity kind as title', () => {
+            let jsonSchema = ModelInstance.toJSONSchema();
+
+            expect(jsonSchema.title).equal('Blog');
+            expect(jsonSchema.$schema).exist;
+            expect(jsonSchema.properties.name).deep.equal({type: ['string', 'null']});
+        });
+    });
+
     describe('key()', function() {
         it('should create from entityKind', () => {
             let key = ModelInstance.key();
@@ -383,6 +420,58 @@ describe('Model', function() {
             });
         });
 
+        it('should accept options in place of the optional arguments', () => {
+            ModelInstance.get(123, {populate: []}, (err, entity) => {
+                expect(entity instanceof Entity).be.true;
+            });
+
+            expect(ds.get.getCall(0).args[0].path).deep.equal(['Blog', 123]);
+        });
+
+        it('should populate the referenced entities', (done) => {
+            entity = {name: 'John', author: ds.key(['User', 1])};
+            entity[ds.KEY] = ds.key(['Blog', 123]);
+            let user = {name: 'Mick'};
+            user[ds.KEY] = ds.key(['User', 1]);
+            ds.get.restore();
+            sinon.stub(ds, 'get', (key, cb) => {
+                return cb(null, key.constructor.name === 'Key' ? entity : [user]);
+            });
+            schema.path('author', {type: 'entityKey', ref: 'User'});
+
+            ModelInstance.get(123, {populate: 'author'}, (err, result) => {
+                expect(ds.get.calledTwice).be.true;
+                expect(result.get('author').name).equal('Mick');
+                expect(result.get('author').id).equal(1);
+                expect(result.plain().author.name).equal('Mick');
+                expect(result.entityData.author).equal(entity.author);
+                done();
+            });
+        });
+
+        it('should save a populated entity with the Keys of its references', (done) => {
+            entity = {name: 'John', author: ds.key(['User', 1])};
+            entity[ds.KEY] = ds.key(['Blog', 123]);
+            let user = {name: 'Mick'};
+            user[ds.KEY] = ds.key(['User', 1]);
+            ds.get.restore();
+            sinon.stub(ds, 'get', (key, cb) => {
+                return cb(null, key.constructor.name === 'Key' ? entity : [user]);
+            });
+            ds.save.restore();
+            sinon.stub(ds, 'save', (data, cb) => cb());
+            schema.path('author', {type: 'entityKey', ref: 'User'});
+
+            ModelInstance.get(123, {populate: 'author'}, (err, result) => {
+                result.save((err) => {
+                    expect(err).not.exist;
+                    const author = ds.save.getCall(0).args[0].data.filter((p) => p.name === 'author')[0];
+                    expect(author.value).equal(entity.author);
+                    done();
+                });
+            });
+        });
+
         it('should get in a transaction', function() {
             ModelInstance.get(123, null, null, transaction, function(err, entity) {
                 expect(transaction.get.called).be.true;
@@ -528,6 +617,16 @@ describe('Model', function() {
             done();
         });
 
+        it('should cast the data if "cast" option is set', () => {
+            schema = new Schema({name: {}, lastname: {}, email: {}, age: {type: 'int'}}, {cast: true});
+            ModelInstance = Model.compile('Blog', schema, gstore);
+
+            ModelInstance.update(123, {age: '42'}, (err, entity) => {
+                expect(err).not.exist;
+                expect(entity.entityData.age).equal(42);
+            });
+        });
+
         it('should merge the new data with the entity data', (done) => {
             let data = {
                 name : 'Sebas',
@@ -566,7 +665,8 @@ describe('Model', function() {
 
         it('should return error if not passing validation', function(done) {
             ModelInstance.update(123, {unknown:1}, null, null, null, {replace:true}, (err, entity) => {
-                expect(err).exist;
+                expect(err.name).equal('ValidationError');
+                expect(err.errors.unknown).exist;
                 expect(entity).not.exist;
                 done();
             });
@@ -593,6 +693,134 @@ describe('Model', function() {
             expect(fn).to.throw(Error);
         });
 
+        it('should increment the version if "versionKey" option is set', () => {
+            schema        = new Schema({name: {}, lastname: {}, email: {}}, {versionKey: '__v'});
+            ModelInstance = Model.compile('Blog', schema, gstore);
+            mockEntity.__v = 2;
+
+            ModelInstance.update(123, {name: 'Mick', __v: 2}, (err, entity) => {
+                expect(err).not.exist;
+                expect(entity.entityData.__v).equal(3);
+            });
+
+            expect(transaction.get.calledOnce).be.true;
+            expect(transaction.save.getCall(0).args[0].data).deep.include({name: '__v', value: 3, excludeFromIndexes: true});
+        });
+
+        it('should return a ConcurrencyError if the version passed is stale', () => {
+            schema        = new Schema({name: {}, lastname: {}, email: {}}, {versionKey: '__v'});
+            ModelInstance = Model.compile('Blog', schema, gstore);
+            mockEntity.__v = 2;
+
+            ModelInstance.update(123, {name: 'Mick', __v: 1}, (err, entity) => {
+                expect(err.name).equal('ConcurrencyError');
+                expect(err.currentVersion).equal(2);
+                expect(entity).not.exist;
+            });
+
+            expect(transaction.save.called).be.false;
+            expect(transaction.rollback.called).be.true;
+        });
+
+        it('should update the modification date if "timestamps" option is set', () => {
+            schema        = new Schema({name: {}, lastname: {}, email: {}}, {timestamps: true});
+            ModelInstance = Model.compile('Blog', schema, gstore);
+            mockEntity.createdAt = new Date('2017-01-01');
+            clock.tick(1000);
+
+            ModelInstance.update(123, {name: 'Mick'}, (err, entity) => {
+                expect(entity.entityData.createdAt).equal(mockEntity.createdAt);
+                expect(entity.entityData.updatedAt.getTime()).equal(1000);
+            });
+
+            ModelInstance.update(123, {name: 'Mick'}, null, null, null, {timestamps: false}, (err, entity) => {
+                expect(entity.entityData.updatedAt).not.exist;
+            });
+        });
+
+        it('should apply the update operators before validation', () => {
+            schema        = new Schema({name: {}, lastname: {}, email: {}, views: {type: 'int'}, tags: {type: 'array'}});
+            ModelInstance = Model.compile('Blog', schema, gstore);
+            mockEntity.views = 9;
+
+            ModelInstance.update(123, {name: 'Mick', $inc: {views: 1}, $push: {tags: 'x'}}, (err, entity) => {
+                expect(err).not.exist;
+                expect(entity.entityData.name).equal('Mick');
+                expect(entity.entityData.views).equal(10);
+                expect(entity.entityData.tags).deep.equal(['x']);
+            });
+
+            ModelInstance.update(123, {$push: {unknown: 'x'}}, (err) => {
+                expect(err.name).equal('ValidationError');
+            });
+        });
+
+        it('should return an error and rollback if an operator can\'t be applied', () => {
+            ModelInstance.update(123, {$inc: {name: 1}}, (err, entity) => {
+                expect(err.code).equal(400);
+                expect(entity).not.exist;
+            });
+
+            expect(transaction.rollback.called).be.true;
+            expect(transaction.save.called).be.false;
+        });
+
+        it('should not allow update operators with the "replace" option', () => {
+            ModelInstance.update(123, {$inc: {views: 1}}, null, null, null, {replace: true}, (err) => {
+                expect(err.code).equal(400);
+            });
+
+            expect(ds.save.called).be.false;
+        });
+
+        it('should retry in a new transaction if the transaction is aborted', () => {
+            let attempts = 0;
+            transaction.commit.restore();
+            sinon.stub(transaction, 'commit', (cb) => {
+                attempts += 1;
+                return attempts < 3 ? cb({code: 409, message: 'too much contention on these datastore entities. please try again.'}) : cb(null, {});
+            });
+            gstore.options.retry = {retries: 1};
+            schema.options.retry = {retries: 2, backoff: 'fixed', delay: 50};
+            let callback = sinon.spy();
+
+            ModelInstance.update(123, {name: 'Mick'}, callback);
+            clock.tick(50);
+            expect(ds.transaction.callCount).equal(2);
+            clock.tick(50);
+
+            expect(ds.transaction.callCount).equal(3);
+            expect(transaction.get.callCount).equal(3);
+            expect(callback.getCall(0).args[0]).equal(null);
+            expect(callback.getCall(0).args[1].entityData.name).equal('Mick');
+        });
+
+        it('should use the retry policy passed in the options', () => {
+            transaction.commit.restore();
+            sinon.stub(transaction, 'commit', (cb) => cb({code: 409, message: 'too much contention on these datastore entities. please try again.'}));
+            schema.options.retry = {retries: 5};
+            let callback = sinon.spy();
+
+            ModelInstance.update(123, {name: 'Mick'}, null, null, null, {retries: 1}, callback);
+            clock.tick(1000);
+
+            expect(ds.transaction.callCount).equal(2);
+            expect(callback.getCall(0).args[0].code).equal(409);
+        });
+
+        it('should not retry inside a transaction passed', () => {
+            transaction.get.restore();
+            sinon.stub(transaction, 'get', (key, cb) => cb({code: 409, message: 'too much contention on these datastore entities. please try again.'}));
+            schema.options.retry = {retries: 5};
+
+            ModelInstance.update(123, {}, null, null, transaction, (err) => {
+                expect(err.code).equal(409);
+            });
+            clock.tick(1000);
+
+            expect(transaction.get.calledOnce).be.true;
+        });
+
         it('should set save options "op" to "update" ', (done) => {
             ModelInstance.update(123, {}, (err, entity, info) => {
                 expect(info.op).equal('update');
@@ -808,6 +1036,241 @@ describe('Model', function() {
                 done();
             });
         });
+
+        describe('softDelete option', () => {
+            beforeEach(() => {
+                schema        = new Schema({name: {}, lastname: {}, email: {}}, {softDelete: true});
+                ModelInstance = Model.compile('Blog', schema, gstore);
+                sinon.stub(ds, 'transaction', () => transaction);
+            });
+
+            afterEach(() => {
+                ds.transaction.restore();
+                if (ds.get.restore) {
+                    ds.get.restore();
+                }
+            });
+
+            it('should add the "deletedAt" and "deletedBy" paths to the Schema', () => {
+                expect(schema.paths.deletedAt).deep.equal({type: 'datetime', write: false});
+                expect(schema.paths.deletedBy).deep.equal({write: false, excludeFromIndexes: true});
+            });
+
+            it('should update the entity instead of deleting it', (done) => {
+                ModelInstance.delete(123, {deletedBy: 'john'}, (err, response) => {
+                    let data = transaction.save.getCall(0).args[0].data;
+
+                    expect(ds.delete.called).be.false;
+                    expect(transaction.commit.called).be.true;
+                    expect(data).deep.include({name: 'deletedAt', value: new Date(), excludeFromIndexes: false});
+                    expect(data).deep.include({name: 'deletedBy', value: 'john', excludeFromIndexes: true});
+                    expect(response.success).be.true;
+                    done();
+                });
+            });
+
+            it('should update the entity inside the transaction passed', (done) => {
+                ModelInstance.delete(123, null, null, transaction, (err) => {
+                    expect(err).not.exist;
+                    expect(transaction.save.calledOnce).be.true;
+                    expect(ds.transaction.called).be.false;
+                    expect(transaction.commit.called).be.false;
+                    expect(transaction.rollback.called).be.false;
+                    done();
+                });
+            });
+
+            it('should skip a missing entity without rolling back the transaction passed', (done) => {
+                transaction.get.restore();
+                sinon.stub(transaction, 'get', (key, cb) => cb(null, undefined));
+
+                ModelInstance.delete(42, null, null, transaction, (err) => {
+                    expect(err).not.exist;
+                    expect(transaction.get.calledOnce).be.true;
+                    expect(transaction.save.called).be.false;
+                    expect(transaction.rollback.called).be.false;
+                    done();
+                });
+            });
+
+            it('should call pre and post hooks', (done) => {
+                let spyPre  = sinon.spy();
+                let spyPost = sinon.spy();
+                schema.pre('delete', (next) => { spyPre(); next(); });
+                schema.post('delete', spyPost);
+                ModelInstance = Model.compile('Blog', schema, gstore);
+
+                ModelInstance.delete(123, () => {
+                    expect(spyPre.called).be.true;
+                    expect(spyPost.called).be.true;
+                    done();
+                });
+            });
+
+            it('should set "success" to false if the entity does not exist', (done) => {
+                transaction.get.restore();
+                sinon.stub(transaction, 'get', (key, cb) => cb(null));
+
+                ModelInstance.delete(123, (err, response) => {
+                    expect(err).not.exist;
+                    expect(response.success).be.false;
+                    done();
+                });
+            });
+
+            it('should only query the entities not deleted in deleteAll()', (done) => {
+                ModelInstance.deleteAll({deletedBy: 'john'}, () => {
+                    let query = ds.runQuery.getCall(0).args[0];
+
+                    expect(query.filters).deep.include({name: 'deletedAt', op: '=', val: null});
+                    expect(ds.delete.called).be.false;
+                    expect(transaction.save.callCount).equal(2);
+                    done();
+                });
+            });
+
+            it('purge() should delete the entity', (done) => {
+                ModelInstance.purge(123, (err, response) => {
+                    expect(ds.delete.getCall(0).args[0].id).equal(123);
+                    expect(transaction.save.called).be.false;
+                    expect(response.success).be.true;
+                    done();
+                });
+            });
+
+            it('restore() should remove "deletedAt" and "deletedBy"', (done) => {
+                mockEntity.deletedAt = new Date();
+                mockEntity.deletedBy = 'john';
+
+                ModelInstance.restore(123, (err, entity) => {
+                    expect(entity.entityData.deletedAt).equal(null);
+                    expect(entity.entityData.deletedBy).equal(null);
+                    done();
+                });
+            });
+
+            it('restore() should return an error if the Schema has no "softDelete" option', (done) => {
+                ModelInstance = Model.compile('Blog', new Schema({}), gstore);
+
+                ModelInstance.restore(123, (err) => {
+                    expect(err.code).equal(400);
+                    done();
+                });
+            });
+
+            it('should not get the deleted entities', (done) => {
+                let deleted = {name: 'John', deletedAt: new Date()};
+                deleted[ds.KEY] = ds.key(['Blog', 123]);
+                sinon.stub(ds, 'get', (key, cb) => cb(null, deleted));
+
+                ModelInstance.get(123, (err, entity) => {
+                    expect(err.code).equal(404);
+
+                    ModelInstance.get(123, {withDeleted: true}, (err, entity) => {
+                        expect(entity.entityData.name).equal('John');
+                        done();
+                    });
+                });
+            });
+
+            it('should filter out the deleted entities in list() and findOne()', (done) => {
+                ModelInstance.list(() => {});
+                ModelInstance.list({withDeleted: true}, () => {});
+
+                expect(ds.runQuery.getCall(0).args[0].filters).deep.include({name: 'deletedAt', op: '=', val: null});
+                expect(ds.runQuery.getCall(1).args[0].filters).deep.equal([]);
+
+                ModelInstance.findOne({name: 'John'}, () => {
+                    expect(ds.runQuery.getCall(2).args[0].filters).deep.include({name: 'deletedAt', op: '=', val: null});
+                    done();
+                });
+            });
+        });
+
+        describe('unique constraints', () => {
+            let lookup;
+
+            beforeEach(() => {
+                schema        = new Schema({name: {}, email: {unique: true}});
+                ModelInstance = Model.compile('Blog', schema, gstore);
+
+                lookup = {entityKey: ModelInstance.key(123)};
+                lookup[ds.KEY] = ds.key(['GstoreUnique', 'Blog:email:"john@snow.com"']);
+
+                let storedEntity = {name: 'John', email: 'john@snow.com'};
+                storedEntity[ds.KEY] = ModelInstance.key(123);
+
+                transaction.get.restore();
+                sinon.stub(transaction, 'get', (keys, cb) => {
+                    cb(null, is.array(keys) ? [lookup] : storedEntity);
+                });
+                sinon.stub(ds, 'transaction', () => transaction);
+            });
+
+            afterEach(() => {
+                ds.transaction.restore();
+            });
+
+            it('should delete the lookup entities with the entity in a transaction', (done) => {
+                ModelInstance.delete(123, (err) => {
+                    expect(err).not.exist;
+                    expect(ds.delete.called).be.false;
+                    expect(transaction.delete.getCall(0).args[0].name).equal('Blog:email:"john@snow.com"');
+                    expect(transaction.delete.getCall(1).args[0].path).deep.equal(['Blog', 123]);
+                    expect(transaction.commit.called).be.true;
+                    done();
+                });
+            });
+
+            it('should delete each entity in its own transaction', (done) => {
+                transaction.commit.restore();
+                sinon.stub(transaction, 'commit', (cb) => cb(null, {indexUpdates: 3}));
+
+                ModelInstance.delete([123, 456], (err, response) => {
+                    expect(err).not.exist;
+                    expect(ds.transaction.callCount).equal(2);
+                    expect(transaction.commit.callCount).equal(2);
+                    expect(transaction.delete.getCall(1).args[0].path).deep.equal(['Blog', 123]);
+                    expect(transaction.delete.getCall(3).args[0].path).deep.equal(['Blog', 456]);
+                    expect(response.success).be.true;
+                    done();
+                });
+            });
+
+            it('should not delete the lookup entities of another entity', (done) => {
+                lookup.entityKey = ModelInstance.key(456);
+
+                ModelInstance.delete(123, () => {
+                    expect(transaction.delete.calledOnce).be.true;
+                    expect(transaction.delete.getCall(0).args[0].path).deep.equal(['Blog', 123]);
+                    done();
+                });
+            });
+
+            it('should delete the lookup entities inside the transaction passed', (done) => {
+                ModelInstance.delete(123, null, null, transaction, () => {
+                    expect(transaction.delete.calledTwice).be.true;
+                    expect(ds.transaction.called).be.false;
+                    expect(transaction.commit.called).be.false;
+                    done();
+                });
+            });
+
+            it('should throw an error if no callback is passed with a transaction', () => {
+                expect(() => ModelInstance.delete(123, null, null, transaction)).throw('A callback is required to delete Blog in a transaction');
+                expect(transaction.delete.called).be.false;
+            });
+
+            it('should keep the lookup entities on soft delete', (done) => {
+                schema        = new Schema({name: {}, email: {unique: true}}, {softDelete: true});
+                ModelInstance = Model.compile('Blog', schema, gstore);
+
+                ModelInstance.delete(123, () => {
+                    expect(transaction.delete.called).be.false;
+                    done();
+                });
+            });
+        });
     });
 
     describe('hooksTransaction()', function() {
@@ -944,6 +1407,44 @@ describe('Model', function() {
             expect(result).to.not.exist;
         });
 
+        it('should return the keys and ids with the "keysOnly" option', (done) => {
+            let query = ModelInstance.query();
+
+            query.run({keysOnly: true}, (err, response) => {
+                expect(ds.runQuery.getCall(0).args[0].selectVal).deep.equal(['__key__']);
+                expect(response.entities).not.exist;
+                expect(response.keys).deep.equal([mockEntities[0][ds.KEY], mockEntities[1][ds.KEY]]);
+                expect(response.ids).deep.equal([1234, 'keyname']);
+                expect(response.nextPageCursor).equal('abcdef');
+                done();
+            });
+        });
+
+        it('should not change the query with the "keysOnly" option', (done) => {
+            let query = ModelInstance.query();
+
+            query.run({keysOnly: true}, () => {
+                expect(query.selectVal).deep.equal([]);
+
+                query.run((err, response) => {
+                    expect(ds.runQuery.getCall(1).args[0]).equal(query);
+                    expect(response.entities.length).equal(2);
+                    done();
+                });
+            });
+        });
+
+        it('should return Model instances with the "format" option set to "ENTITY"', (done) => {
+            ModelInstance.query().run({format: 'ENTITY'}, (err, response) => {
+                expect(response.entities.length).equal(2);
+                expect(response.entities[0].constructor.entityKind).equal('Blog');
+                expect(response.entities[0].plain().id).equal(1234);
+                expect(response.entities[0].plain().name).equal('John');
+                expect(response.entities[0].plain().password).not.exist;
+                done();
+            });
+        });
+
         it('should allow a namespace for query', () => {
             let namespace = 'com.mydomain-dev';
             let query     = ModelInstance.query(namespace);
@@ -970,25 +1471,134 @@ describe('Model', function() {
 
             expect(fn).to.throw(Error);
         });
-    });
 
-    describe('shortcut queries', () => {
-        describe('list', () =>  {
-            it('should work with no settings defined', function() {
+        describe('stream()', () => {
+            let pages;
+
+            beforeEach(() => {
+                pages = [
+                    {entities: [mockEntities[0]], info: {moreResults: ds.MORE_RESULTS_AFTER_LIMIT, endCursor: 'cursor1'}},
+                    {entities: [mockEntities[1]], info: {moreResults: ds.NO_MORE_RESULTS, endCursor: 'cursor2'}}
+                ];
+
                 ds.runQuery.restore();
-                sinon.stub(ds, 'runQuery', function(query, cb) {
-                    setTimeout(function() {
-                        return cb(null, mockEntities, {
-                            moreResults : ds.MORE_RESULTS_AFTER_LIMIT,
-                            endCursor: 'abcdef'
-                        });
-                    }, 20);
+                sinon.stub(ds, 'runQuery', (query, cb) => {
+                    const page = query.startVal ? pages[1] : pages[0];
+                    cb(null, page.entities, page.info);
                 });
+            });
 
-                ModelInstance.list((err, response) => {
-                    expect(response.entities.length).equal(2);
-                    expect(response.nextPageCursor).equal('abcdef');
-                    expect(response.entities[0].password).not.to.exist;
+            it('should stream the entities of all the pages', (done) => {
+                let query    = ModelInstance.query().filter('name', '=', 'John');
+                let entities = [];
+
+                query.stream()
+                    .on('data', (entity) => entities.push(entity))
+                    .on('end', () => {
+                        expect(entities.map((e) => e.id)).deep.equal([1234, 'keyname']);
+                        expect(entities[0].password).not.exist;
+                        expect(ds.runQuery.callCount).equal(2);
+                        expect(ds.runQuery.getCall(0).args[0]).not.equal(query);
+                        expect(ds.runQuery.getCall(0).args[0].limitVal).equal(500);
+                        expect(ds.runQuery.getCall(1).args[0].startVal).equal('cursor1');
+                        expect(ds.runQuery.getCall(1).args[0].filters).deep.equal(query.filters);
+                        expect(query.limitVal).equal(-1);
+                        done();
+                    });
+            });
+
+            it('should use the "pageSize" option as page size', (done) => {
+                ModelInstance.query().limit(100).stream({pageSize: 50})
+                    .on('end', () => {
+                        expect(ds.runQuery.getCall(0).args[0].limitVal).equal(50);
+
+                        ModelInstance.query().stream({pageSize: 50, readAll: true})
+                            .on('data', (entity) => {
+                                if (entity.id === 1234) {
+                                    expect(entity.password).exist;
+                                }
+                            })
+                            .on('end', () => {
+                                expect(ds.runQuery.getCall(2).args[0].limitVal).equal(50);
+                                done();
+                            });
+                    })
+                    .resume();
+            });
+
+            it('should stop after the query limit', (done) => {
+                let entities = [];
+                let limits   = [];
+                ds.runQuery.restore();
+                sinon.stub(ds, 'runQuery', (query, cb) => {
+                    limits.push(query.limitVal);
+                    cb(null, mockEntities.slice(0, query.limitVal), {moreResults: ds.MORE_RESULTS_AFTER_LIMIT, endCursor: 'cursor'});
+                });
+
+                ModelInstance.query().limit(3).stream({pageSize: 2})
+                    .on('data', (entity) => entities.push(entity))
+                    .on('end', () => {
+                        expect(entities.length).equal(3);
+                        expect(limits).deep.equal([2, 1]);
+                        done();
+                    });
+            });
+
+            it('should not fetch the next page before the entities are read', (done) => {
+                let stream = ModelInstance.query().stream();
+
+                stream.once('readable', () => {
+                    expect(ds.runQuery.callCount).equal(1);
+                    stream.resume();
+                });
+                stream.on('end', () => {
+                    expect(ds.runQuery.callCount).equal(2);
+                    done();
+                });
+                stream.pause();
+            });
+
+            it('should stream the keys with the "keysOnly" option', (done) => {
+                let keys = [];
+
+                ModelInstance.query().stream({keysOnly: true})
+                    .on('data', (key) => keys.push(key))
+                    .on('end', () => {
+                        expect(ds.runQuery.getCall(0).args[0].selectVal).deep.equal(['__key__']);
+                        expect(keys).deep.equal([mockEntities[0][ds.KEY], mockEntities[1][ds.KEY]]);
+                        done();
+                    });
+            });
+
+            it('should emit the query error', (done) => {
+                ds.runQuery.restore();
+                sinon.stub(ds, 'runQuery', (query, cb) => cb({code: 500, message: 'Server error'}));
+
+                ModelInstance.query().stream().on('error', (err) => {
+                    expect(err.code).equal(500);
+                    done();
+                }).resume();
+            });
+        });
+    });
+
+    describe('shortcut queries', () => {
+        describe('list', () =>  {
+            it('should work with no settings defined', function() {
+                ds.runQuery.restore();
+                sinon.stub(ds, 'runQuery', function(query, cb) {
+                    setTimeout(function() {
+                        return cb(null, mockEntities, {
+                            moreResults : ds.MORE_RESULTS_AFTER_LIMIT,
+                            endCursor: 'abcdef'
+                        });
+                    }, 20);
+                });
+
+                ModelInstance.list((err, response) => {
+                    expect(response.entities.length).equal(2);
+                    expect(response.nextPageCursor).equal('abcdef');
+                    expect(response.entities[0].password).not.to.exist;
                 });
 
                 clock.tick(20);
@@ -1002,6 +1612,14 @@ describe('Model', function() {
                 });
             });
 
+            it('should return the keys and ids with the "keysOnly" option', (done) => {
+                ModelInstance.list({keysOnly: true}, (err, response) => {
+                    expect(ds.runQuery.getCall(0).args[0].selectVal).deep.equal(['__key__']);
+                    expect(response.ids).deep.equal([1234, 'keyname']);
+                    done();
+                });
+            });
+
             it('should not add endCursor to response', function(){
                 ds.runQuery.restore();
                 sinon.stub(ds, 'runQuery', function(query, cb) {
@@ -1053,6 +1671,64 @@ describe('Model', function() {
 
             });
 
+            it('should return Model instances with the "format" option set to "ENTITY"', (done) => {
+                ModelInstance.list({format: 'ENTITY'}, (err, response) => {
+                    expect(response.entities[0].className).equal('Entity');
+                    expect(response.entities[0] instanceof Model).be.true;
+                    expect(response.entities[0].entityKey).equal(mockEntities[0][ds.KEY]);
+                    expect(response.entities[0].entityData.password).equal('xxx');
+                    expect(response.nextPageCursor).equal('abcdef');
+                    done();
+                });
+            });
+
+            it('should use the "format" of the Schema queries setting', (done) => {
+                schema        = new Schema({name: {}, lastname: {}, password: {}}, {queries: {format: 'ENTITY'}});
+                ModelInstance = Model.compile('Blog', schema, gstore);
+
+                ModelInstance.list((err, response) => {
+                    expect(response.entities[1].entityKey.name).equal('keyname');
+                    expect(response.entities[1].save).be.a('function');
+
+                    ModelInstance.list({format: 'JSON'}, (err, response) => {
+                        expect(response.entities[1]).deep.equal({name: 'Mick', lastname: 'Jagger', id: 'keyname'});
+                        done();
+                    });
+                });
+            });
+
+            it('should populate the referenced entities of the Model instances', (done) => {
+                let user = {name: 'Mick'};
+                user[ds.KEY] = ds.key(['User', 1]);
+                mockEntities[0].author = ds.key(['User', 1]);
+                sinon.stub(ds, 'get', (keys, cb) => {
+                    cb(null, [user]);
+                });
+
+                ModelInstance.list({populate: ['author'], format: 'ENTITY'}, (err, response) => {
+                    expect(response.entities[0].get('author').name).equal('Mick');
+                    expect(response.entities[0].entityData.author.constructor.name).equal('Key');
+                    ds.get.restore();
+                    done();
+                });
+            });
+
+            it('should populate the referenced entities', (done) => {
+                let user = {name: 'Mick'};
+                user[ds.KEY] = ds.key(['User', 1]);
+                mockEntities[0].author = ds.key(['User', 1]);
+                sinon.stub(ds, 'get', (keys, cb) => {
+                    cb(null, [user]);
+                });
+
+                ModelInstance.list({populate: ['author']}, (err, response) => {
+                    expect(response.entities[0].author.name).equal('Mick');
+                    expect(response.entities[1].author).not.exist;
+                    ds.get.restore();
+                    done();
+                });
+            });
+
             it('should deal with err response', () => {
                 ds.runQuery.restore();
                 sinon.stub(ds, 'runQuery', (query, cb) => {
@@ -1079,6 +1755,237 @@ describe('Model', function() {
             });
         });
 
+        describe('findEach()', () => {
+            beforeEach(() => {
+                ds.runQuery.restore();
+                sinon.stub(ds, 'runQuery', (query, cb) => {
+                    if (query.startVal) {
+                        return cb(null, [mockEntities[1]], {moreResults: ds.NO_MORE_RESULTS});
+                    }
+                    cb(null, [mockEntities[0]], {moreResults: ds.MORE_RESULTS_AFTER_LIMIT, endCursor: 'cursor1'});
+                });
+            });
+
+            it('should call the function on the entities of all the pages', () => {
+                let ids = [];
+
+                return ModelInstance.findEach({filters: ['name', 'John']}, (entity) => {
+                    ids.push(entity.id);
+                    return Promise.resolve();
+                }).then((count) => {
+                    expect(count).equal(2);
+                    expect(ids).deep.equal([1234, 'keyname']);
+                    expect(ds.runQuery.getCall(0).args[0].filters).deep.equal([{name: 'name', op: '=', val: 'John'}]);
+                });
+            });
+
+            it('should accept a function with a callback and a final callback', (done) => {
+                let ids = [];
+
+                ModelInstance.findEach((entity, next) => {
+                    ids.push(entity.id);
+                    next();
+                }, (err, count) => {
+                    expect(err).not.exist;
+                    expect(count).equal(2);
+                    expect(ids).deep.equal([1234, 'keyname']);
+                    done();
+                });
+            });
+
+            it('should process the entities with the concurrency passed', () => {
+                let running = 0;
+                let max     = 0;
+
+                function fn() {
+                    running += 1;
+                    max = Math.max(max, running);
+                    return new Promise((resolve) => process.nextTick(() => {
+                        running -= 1;
+                        resolve();
+                    }));
+                }
+
+                return ModelInstance.findEach({}, fn).then(() => {
+                    expect(max).equal(1);
+                    max = 0;
+                    return ModelInstance.findEach({}, fn, {concurrency: 2});
+                }).then(() => {
+                    expect(max).equal(2);
+                });
+            });
+
+            it('should stop and return the error of the function', () => {
+                let calls = 0;
+
+                return ModelInstance.findEach({}, () => {
+                    calls += 1;
+                    return Promise.reject(new Error('Processing error'));
+                }).then(() => {
+                    throw new Error('should have failed');
+                }, (err) => {
+                    expect(err.message).equal('Processing error');
+                    expect(calls).equal(1);
+                });
+            });
+
+            it('should process at most "limit" entities', () => {
+                let ids = [];
+
+                return ModelInstance.findEach({limit: 1}, (entity) => {
+                    ids.push(entity.id);
+                }).then((count) => {
+                    expect(count).equal(1);
+                    expect(ids).deep.equal([1234]);
+                    expect(ds.runQuery.calledOnce).be.true;
+                });
+            });
+
+            it('should throw an error if no function is passed', () => {
+                expect(() => ModelInstance.findEach({})).throw('findEach() needs a function to execute on each entity');
+            });
+        });
+
+        describe('count()', () => {
+            beforeEach(() => {
+                ds.runQuery.restore();
+                sinon.stub(ds, 'runQuery', (query, cb) => {
+                    if (query.startVal) {
+                        return cb(null, [mockEntities[1]], {moreResults: ds.NO_MORE_RESULTS});
+                    }
+                    cb(null, mockEntities, {moreResults: ds.MORE_RESULTS_AFTER_LIMIT, endCursor: 'cursor1'});
+                });
+            });
+
+            it('should count the entities of all the pages with keys-only queries', (done) => {
+                ModelInstance.count((err, count) => {
+                    expect(err).not.exist;
+                    expect(count).equal(3);
+                    expect(ds.runQuery.callCount).equal(2);
+                    expect(ds.runQuery.getCall(0).args[0].selectVal).deep.equal(['__key__']);
+                    done();
+                });
+            });
+
+            it('should accept the filters and the options', (done) => {
+                ModelInstance.count({name: 'John'}, {namespace: 'ns', ancestors: ['Parent', 1]}, () => {
+                    const query = ds.runQuery.getCall(0).args[0];
+
+                    expect(query.namespace).equal('ns');
+                    expect(query.filters[0].op).equal('HAS_ANCESTOR');
+                    expect(query.filters[1]).deep.equal({name: 'name', op: '=', val: 'John'});
+
+                    ModelInstance.count([['age', '>', 18]], () => {
+                        expect(ds.runQuery.getCall(2).args[0].filters).deep.equal([{name: 'age', op: '>', val: 18}]);
+                        done();
+                    });
+                });
+            });
+
+            it('should not count the soft deleted entities', (done) => {
+                ModelInstance = Model.compile('Blog', new Schema({name: {}}, {softDelete: true}), gstore);
+
+                ModelInstance.count(() => {
+                    expect(ds.runQuery.getCall(0).args[0].filters).deep.equal([{name: 'deletedAt', op: '=', val: null}]);
+                    done();
+                });
+            });
+
+            it('should return the query error', (done) => {
+                ds.runQuery.restore();
+                sinon.stub(ds, 'runQuery', (query, cb) => cb({code: 500, message: 'Server error'}));
+
+                ModelInstance.count((err) => {
+                    expect(err.code).equal(500);
+                    done();
+                });
+            });
+        });
+
+        describe('exists()', () => {
+            beforeEach(() => {
+                ds.runQuery.restore();
+                sinon.stub(ds, 'runQuery', (query, cb) => {
+                    const key = query.filters[0].val;
+                    cb(null, key.id === 123 ? [{}] : [], {moreResults: ds.NO_MORE_RESULTS});
+                });
+            });
+
+            it('should check if the entity exists with a keys-only query', (done) => {
+                ModelInstance.exists('123', (err, exists) => {
+                    const query = ds.runQuery.getCall(0).args[0];
+
+                    expect(exists).be.true;
+                    expect(query.filters[0].name).equal('__key__');
+                    expect(query.filters[0].val.path).deep.equal(['Blog', 123]);
+                    expect(query.selectVal).deep.equal(['__key__']);
+                    expect(query.limitVal).equal(1);
+                    done();
+                });
+            });
+
+            it('should check several entities', (done) => {
+                ModelInstance.exists([123, 456], ['Parent', 'p1'], 'ns', (err, exists) => {
+                    expect(exists).deep.equal([true, false]);
+                    expect(ds.runQuery.getCall(1).args[0].filters[0].val.path).deep.equal(['Parent', 'p1', 'Blog', 456]);
+                    expect(ds.runQuery.getCall(1).args[0].namespace).equal('ns');
+                    done();
+                });
+            });
+
+            it('should run the queries in parallel, 10 at a time', (done) => {
+                let running = 0;
+                let max     = 0;
+                let ids     = [];
+                for (let i = 1; i <= 25; i++) {
+                    ids.push(i);
+                }
+
+                ds.runQuery.restore();
+                sinon.stub(ds, 'runQuery', (query, cb) => {
+                    running += 1;
+                    max = Math.max(max, running);
+                    process.nextTick(() => {
+                        running -= 1;
+                        cb(null, [], {moreResults: ds.NO_MORE_RESULTS});
+                    });
+                });
+
+                ModelInstance.exists(ids, (err, exists) => {
+                    expect(exists.length).equal(25);
+                    expect(ds.runQuery.callCount).equal(25);
+                    expect(max).equal(10);
+                    done();
+                });
+            });
+
+            it('should exclude the soft deleted entities', (done) => {
+                ModelInstance = Model.compile('Blog', new Schema({name: {}}, {softDelete: true}), gstore);
+
+                ModelInstance.exists(123, {withDeleted: true}, () => {
+                    expect(ds.runQuery.getCall(0).args[0].filters.length).equal(1);
+
+                    ModelInstance.exists(123, () => {
+                        const query = ds.runQuery.getCall(1).args[0];
+
+                        expect(query.filters[1]).deep.equal({name: 'deletedAt', op: '=', val: null});
+                        expect(query.selectVal).deep.equal(['__key__']);
+                        done();
+                    });
+                });
+            });
+
+            it('should return the query error', (done) => {
+                ds.runQuery.restore();
+                sinon.stub(ds, 'runQuery', (query, cb) => cb({code: 500, message: 'Server error'}));
+
+                ModelInstance.exists(123, (err) => {
+                    expect(err.code).equal(500);
+                    done();
+                });
+            });
+        });
+
         describe('deleteAll()', () => {
             beforeEach(() => {
                 sinon.spy(ModelInstance, 'delete');
@@ -1106,6 +2013,7 @@ describe('Model', function() {
                 expect(arg.constructor.name).equal('Query');
                 expect(arg.kinds[0]).equal('Blog');
                 expect(arg.namespace).equal('com.mydomain');
+                expect(arg.selectVal).deep.equal(['__key__']);
             });
 
             it('should return error if could not fetch entities', (done) => {
@@ -1133,7 +2041,7 @@ describe('Model', function() {
                 ModelInstance.deleteAll(function(){
                     expect(async.eachSeries.called).be.true;
                     expect(ModelInstance.delete.callCount).equal(2);
-                    expect(ModelInstance.delete.getCall(0).args.length).equal(6);
+                    expect(ModelInstance.delete.getCall(0).args.length).equal(7);
                     expect(ModelInstance.delete.getCall(0).args[4].constructor.name).equal('Key');
                     done();
                 });
@@ -1144,7 +2052,7 @@ describe('Model', function() {
                     expect(ModelInstance.delete.callCount).equal(1);
 
                     let args = ModelInstance.delete.getCall(0).args;
-                    expect(args.length).equal(6);
+                    expect(args.length).equal(7);
                     expect(is.array(args[4])).be.true;
                     expect(args[4]).deep.equal([mockEntities[0][ds.KEY], mockEntities[1][ds.KEY]]);
 
@@ -1210,6 +2118,13 @@ describe('Model', function() {
                 });
             });
 
+            it('should return Model instances with the "format" option set to "ENTITY"', function() {
+                ModelInstance.findAround('createdOn', '2016-1-1', {after: 3, format: 'ENTITY'}, (err, entities) => {
+                    expect(entities[0].entityKey).equal(mockEntities[0][ds.KEY]);
+                    expect(entities[0].entityData.name).equal('John');
+                });
+            });
+
             it ('should get 3 entities before a given date', function() {
                 ModelInstance.findAround('createdOn', '2016-1-1', {before:12}, () => {});
                 let query = ds.runQuery.getCall(0).args[0];
@@ -1327,6 +2242,78 @@ describe('Model', function() {
                 });
             });
 
+            it('should populate the referenced entities', (done) => {
+                let user = {name: 'Mick'};
+                user[ds.KEY] = ds.key(['User', 1]);
+                mockEntities[0].author = ds.key(['User', 1]);
+                sinon.stub(ds, 'get', (keys, cb) => {
+                    cb(null, []);
+                });
+
+                ModelInstance.findOne({name:'John'}, {populate: 'author'}, (err, entity) => {
+                    expect(ds.get.called).be.true;
+                    expect(entity.get('author')).equal(null);
+                    expect(entity.entityData.author.constructor.name).equal('Key');
+                    ds.get.restore();
+                    done();
+                });
+            });
+
+            it('should translate the operators to filters', (done) => {
+                ModelInstance.findOne({age: {$gte: 18, $lt: 65}, name: 'John', birthday: {$gt: new Date(0)}}, () => {
+                    let query = ds.runQuery.getCall(0).args[0];
+
+                    expect(query.filters).deep.equal([
+                        {name: 'age', op: '>=', val: 18},
+                        {name: 'age', op: '<', val: 65},
+                        {name: 'name', op: '=', val: 'John'},
+                        {name: 'birthday', op: '>', val: new Date(0)}
+                    ]);
+                    done();
+                });
+            });
+
+            it('should return a 400 error for an unknown operator', (done) => {
+                ModelInstance.findOne({age: {$ne: 18}}, (err) => {
+                    expect(err.code).equal(400);
+                    expect(err.message).equal('Unknown operator $ne {age}');
+                    expect(ds.runQuery.called).be.false;
+                    done();
+                });
+            });
+
+            it('should accept the order, ancestors and namespace options', (done) => {
+                ModelInstance.findOne({name: 'John'}, {
+                    order: {property: 'birthday', descending: true},
+                    ancestors: ['Parent', 'keyname'],
+                    namespace: 'com.new-domain.dev'
+                }, () => {
+                    let query = ds.runQuery.getCall(0).args[0];
+
+                    expect(query.orders).deep.equal([{name: 'birthday', sign: '-'}]);
+                    expect(query.filters[1].op).equal('HAS_ANCESTOR');
+                    expect(query.filters[1].val.path).deep.equal(['Parent', 'keyname']);
+                    expect(query.namespace).equal('com.new-domain.dev');
+                    expect(query.limitVal).equal(1);
+                    done();
+                });
+            });
+
+            it('should return null if not found with the "nullIfNotFound" option', (done) => {
+                ds.runQuery.restore();
+                sinon.stub(ds, 'runQuery', (query, cb) => cb(null, [], {moreResults: ds.NO_MORE_RESULTS}));
+
+                ModelInstance.findOne({name: 'John'}, {nullIfNotFound: true}, (err, entity) => {
+                    expect(err).equal(null);
+                    expect(entity).equal(null);
+
+                    ModelInstance.findOne({name: 'John'}, (err) => {
+                        expect(err.code).equal(404);
+                        done();
+                    });
+                });
+            });
+
             it('should validate that params passed are object', function() {
                 ModelInstance.findOne('some string', (err, entity) => {
                     expect(err.code).equal(400);
@@ -1449,6 +2436,18 @@ describe('Model', function() {
             expect(ds.save.called).be.false;
         });
 
+        it('should return a ValidationError with all the errors', (done) => {
+            model = new ModelInstance({unknown:'John', website:'mydomain', type: 'other'});
+
+            model.save((err) => {
+                expect(err.name).equal('ValidationError');
+                expect(err.message).equal('Blog validation failed');
+                expect(Object.keys(err.errors)).deep.equal(['unknown', 'website', 'type']);
+                expect(err.errors.website.code).equal('ERR_PROP_VALIDATE');
+                done();
+            });
+        });
+
         it('should convert to Datastore format before saving to Datastore', function(done) {
             let spySerializerToDatastore = sinon.spy(datastoreSerializer, 'toDatastore');
 
@@ -1592,43 +2591,522 @@ describe('Model', function() {
             expect(entity.entityData.modifiedOn).to.exist;
             expect(entity.entityData.modifiedOn.toString()).to.equal(new Date().toString());
         });
-    });
-
-    describe('validate()', () => {
-        it('properties passed ok', () => {
-            let model = new ModelInstance({name:'John', lastname:'Snow'});
 
-            let valid = model.validate();
-            expect(valid.success).be.true;
-        });
+        describe('"method" option', () => {
+            it('should pass the method to the Datastore', () => {
+                model.save({}, {method: 'insert'}, () => {});
 
-        it('properties passed ko', () => {
-            let model = new ModelInstance({unknown:123});
+                expect(ds.save.getCall(0).args[0].method).equal('insert');
+            });
 
-            let valid = model.validate();
+            it('should return an AlreadyExistsError if the entity exists on "insert"', (done) => {
+                ds.save.restore();
+                sinon.stub(ds, 'save', (entity, cb) => cb({code: 409, message: 'entity already exists: app: "s~my-project"'}));
+                model = new ModelInstance({name: 'John'}, 123);
 
-            expect(valid.success).be.false;
-        });
+                model.save({}, {method: 'insert'}, (err) => {
+                    expect(err.name).equal('AlreadyExistsError');
+                    expect(err.code).equal(409);
+                    expect(err.entityKey).equal(model.entityKey);
+                    done();
+                });
+            });
 
-        it('should remove virtuals', () => {
-            let model = new ModelInstance({fullname:'John Snow'});
+            it('should return a NotFoundError if the entity does not exist on "update"', (done) => {
+                ds.save.restore();
+                sinon.stub(ds, 'save', (entity, cb) => cb({code: 404, message: 'no entity to update: app: "s~my-project"'}));
+                model = new ModelInstance({name: 'John'}, 123);
 
-            let valid = model.validate();
+                model.save({}, {method: 'update'}, (err) => {
+                    expect(err.name).equal('NotFoundError');
+                    expect(err.code).equal(404);
+                    done();
+                });
+            });
 
-            expect(valid.success).be.true;
-            expect(model.entityData.fullname).not.exist;
-        });
+            it('should not convert a contention error on "insert"', (done) => {
+                ds.save.restore();
+                sinon.stub(ds, 'save', (entity, cb) => cb({code: 409, message: 'too much contention on these datastore entities. please try again.'}));
+                model = new ModelInstance({name: 'John'}, 123);
 
-        it('accept unkwown properties', () => {
-            schema = new Schema({
-                name:     {type: 'string'},
-            }, {
-                explicitOnly : false
+                model.save({}, {method: 'insert'}, (err) => {
+                    expect(err.name).not.equal('AlreadyExistsError');
+                    expect(err.code).equal(409);
+                    done();
+                });
             });
-            ModelInstance = Model.compile('Blog', schema, gstore);
-            let model = new ModelInstance({unknown:123});
 
-            let valid = model.validate();
+            it('should check if the entity exists inside a transaction', () => {
+                model = new ModelInstance({name: 'John'}, 123);
+
+                model.save(transaction, {method: 'insert'}, (err) => {
+                    expect(err.name).equal('AlreadyExistsError');
+                });
+
+                expect(transaction.get.getCall(0).args[0]).equal(model.entityKey);
+                expect(transaction.save.called).be.false;
+
+                transaction.get.restore();
+                sinon.stub(transaction, 'get', (key, cb) => cb(null));
+
+                model.save(transaction, {method: 'update'}, (err) => {
+                    expect(err.name).equal('NotFoundError');
+                });
+
+                model.save(transaction, {method: 'insert'}, (err) => {
+                    expect(err).not.exist;
+                });
+
+                expect(transaction.save.calledOnce).be.true;
+                expect(transaction.save.getCall(0).args[0].method).equal('insert');
+            });
+
+            it('should not check an entity without id', () => {
+                model.save(transaction, {method: 'insert'}, () => {});
+
+                expect(transaction.get.called).be.false;
+                expect(transaction.save.called).be.true;
+            });
+        });
+
+        describe('timestamps', () => {
+            beforeEach(() => {
+                schema        = new Schema({name: {type: 'string'}}, {timestamps: true});
+                ModelInstance = Model.compile('Blog', schema, gstore);
+            });
+
+            it('should set the creation and the modification dates', () => {
+                let model = new ModelInstance({name: 'John'});
+
+                model.save(() => {});
+
+                expect(model.entityData.createdAt).deep.equal(new Date());
+                expect(model.entityData.updatedAt).deep.equal(new Date());
+            });
+
+            it('should not change the creation date of an entity', () => {
+                let createdAt = new Date('2017-01-01');
+                let model     = new ModelInstance({name: 'John', createdAt: createdAt});
+
+                clock.tick(1000);
+                model.save(() => {});
+
+                expect(model.entityData.createdAt).equal(createdAt);
+                expect(model.entityData.updatedAt.getTime()).equal(1000);
+            });
+
+            it('should allow custom property names', () => {
+                schema        = new Schema({name: {type: 'string'}}, {timestamps: {createdAt: 'created', updatedAt: 'updated'}});
+                ModelInstance = Model.compile('Blog', schema, gstore);
+                let model     = new ModelInstance({name: 'John'});
+
+                model.save(() => {});
+
+                expect(schema.paths.created).deep.equal({type: 'datetime', write: false});
+                expect(model.entityData.created).deep.equal(new Date());
+                expect(model.entityData.updated).deep.equal(new Date());
+                expect(model.entityData.createdAt).not.exist;
+            });
+
+            it('should not set the dates if {timestamps: false} is passed', () => {
+                let model = new ModelInstance({name: 'John'});
+
+                model.save({}, {timestamps: false}, () => {});
+
+                expect(model.entityData.createdAt).equal(null);
+                expect(model.entityData.updatedAt).equal(null);
+            });
+        });
+
+        describe('versionKey', () => {
+            let storedEntity;
+
+            beforeEach(() => {
+                schema        = new Schema({name: {type: 'string'}}, {versionKey: '__v'});
+                ModelInstance = Model.compile('Blog', schema, gstore);
+
+                storedEntity = {name: 'John', __v: 3};
+                transaction.get.restore();
+                sinon.stub(transaction, 'get', (key, cb) => {
+                    cb(null, storedEntity);
+                });
+                sinon.stub(ds, 'transaction', () => transaction);
+            });
+
+            afterEach(() => {
+                ds.transaction.restore();
+            });
+
+            it('should add the version path to the Schema', () => {
+                expect(schema.paths.__v).deep.equal({type: 'int', default: 0, excludeFromIndexes: true});
+            });
+
+            it('should increment the version in a transaction', () => {
+                let model = new ModelInstance({name: 'Mick', __v: 3}, 123);
+
+                model.save((err, entity, info) => {
+                    expect(err).not.exist;
+                    expect(entity.entityData.__v).equal(4);
+                    expect(info.op).equal('save');
+                });
+
+                expect(ds.save.called).be.false;
+                expect(transaction.get.getCall(0).args[0]).equal(model.entityKey);
+                expect(transaction.save.called).be.true;
+                expect(transaction.commit.called).be.true;
+            });
+
+            it('should return a ConcurrencyError if the version is stale', () => {
+                let model = new ModelInstance({name: 'Mick', __v: 2}, 123);
+
+                model.save((err, entity) => {
+                    expect(err.name).equal('ConcurrencyError');
+                    expect(err.version).equal(2);
+                    expect(err.currentVersion).equal(3);
+                    expect(entity).not.exist;
+                });
+
+                expect(model.entityData.__v).equal(2);
+                expect(transaction.save.called).be.false;
+                expect(transaction.rollback.called).be.true;
+            });
+
+            it('should not check the version of a new entity', () => {
+                let model = new ModelInstance({name: 'Mick'});
+
+                model.save((err, entity) => {
+                    expect(entity.entityData.__v).equal(1);
+                });
+
+                expect(transaction.get.called).be.false;
+                expect(transaction.save.called).be.true;
+            });
+
+            it('should check the version inside the transaction passed', () => {
+                let model = new ModelInstance({name: 'Mick', __v: 1}, 123);
+
+                model.save(transaction, {}, (err) => {
+                    expect(err.name).equal('ConcurrencyError');
+                });
+
+                expect(ds.transaction.called).be.false;
+                expect(transaction.commit.called).be.false;
+            });
+
+            it('should throw an error if no callback is passed with a transaction', () => {
+                let model = new ModelInstance({name: 'Mick', __v: 3}, 123);
+
+                expect(() => model.save(transaction)).throw('A callback is required to save Blog in a transaction');
+                expect(transaction.save.called).be.false;
+            });
+        });
+
+        describe('unique constraints', () => {
+            let storedEntity;
+            let lookups;
+
+            beforeEach(() => {
+                schema = new Schema({
+                    name     : {type: 'string'},
+                    email    : {type: 'string', unique: true},
+                    tenant   : {type: 'string'},
+                    username : {type: 'string', unique: ['tenant', 'username']}
+                });
+                ModelInstance = Model.compile('Blog', schema, gstore);
+
+                storedEntity = null;
+                lookups      = [];
+                transaction.get.restore();
+                sinon.stub(transaction, 'get', (keys, cb) => {
+                    cb(null, is.array(keys) ? lookups : storedEntity);
+                });
+                sinon.stub(transaction, 'delete');
+                sinon.stub(ds, 'transaction', () => transaction);
+            });
+
+            afterEach(() => {
+                ds.transaction.restore();
+                transaction.delete.restore();
+            });
+
+            function lookup(name, id) {
+                let entity = {entityKey: ModelInstance.key(id)};
+                entity[ds.KEY] = ds.key(['GstoreUnique', name]);
+                return entity;
+            }
+
+            it('should throw an error if no callback is passed with a transaction', () => {
+                let model = new ModelInstance({email: 'john@snow.com'}, 123);
+
+                expect(() => model.save(transaction)).throw('A callback is required to save Blog in a transaction');
+                expect(transaction.save.called).be.false;
+            });
+
+            it('should save the lookup entities in the transaction of the entity', () => {
+                let model = new ModelInstance({email: 'john@snow.com', tenant: 'acme', username: 'john'}, 123);
+
+                model.save((err) => {
+                    expect(err).not.exist;
+                });
+
+                const lookupKeys = transaction.get.getCall(1).args[0];
+                expect(lookupKeys.map((k) => k.name)).deep.equal(['Blog:email:"john@snow.com"', 'Blog:tenant+username:"acme"|"john"']);
+                expect(transaction.save.callCount).equal(3);
+                expect(transaction.save.getCall(0).args[0].key.kind).equal('GstoreUnique');
+                expect(transaction.save.getCall(0).args[0].data[0].value).equal(model.entityKey);
+                expect(transaction.save.getCall(2).args[0].key).equal(model.entityKey);
+                expect(transaction.commit.called).be.true;
+                expect(ds.save.called).be.false;
+            });
+
+            it('should return a UniqueConstraintError if the value belongs to another entity', () => {
+                lookups = [lookup('Blog:email:"john@snow.com"', 456)];
+                let model = new ModelInstance({email: 'john@snow.com'}, 123);
+
+                model.save((err) => {
+                    expect(err.name).equal('UniqueConstraintError');
+                    expect(err.code).equal(409);
+                    expect(err.path).equal('email');
+                    expect(err.values).deep.equal(['john@snow.com']);
+                });
+
+                expect(transaction.save.called).be.false;
+                expect(transaction.rollback.called).be.true;
+            });
+
+            it('should name the path of a compound constraint', () => {
+                lookups = [lookup('Blog:tenant+username:"acme"|"john"', 456)];
+                let model = new ModelInstance({tenant: 'acme', username: 'john'}, 123);
+
+                model.save((err) => {
+                    expect(err.path).equal('username');
+                    expect(err.paths).deep.equal(['tenant', 'username']);
+                });
+            });
+
+            it('should accept the values owned by the entity', () => {
+                lookups = [lookup('Blog:email:"john@snow.com"', 123)];
+                let model = new ModelInstance({email: 'john@snow.com'}, 123);
+
+                model.save((err) => {
+                    expect(err).not.exist;
+                });
+
+                expect(transaction.commit.called).be.true;
+            });
+
+            it('should release the lookup of the previous value', () => {
+                storedEntity = {email: 'john@snow.com'};
+                lookups      = [lookup('Blog:email:"john@snow.com"', 123)];
+                let model    = new ModelInstance({email: 'john@north.com'}, 123);
+
+                model.save(() => {});
+
+                expect(transaction.delete.calledOnce).be.true;
+                expect(transaction.delete.getCall(0).args[0].name).equal('Blog:email:"john@snow.com"');
+            });
+
+            it('should not release a previous value owned by another entity', () => {
+                storedEntity = {email: 'john@snow.com'};
+                lookups      = [lookup('Blog:email:"john@snow.com"', 456)];
+                let model    = new ModelInstance({email: 'john@north.com'}, 123);
+
+                model.save(() => {});
+
+                expect(transaction.delete.called).be.false;
+                expect(transaction.commit.called).be.true;
+            });
+
+            it('should not check the empty values', () => {
+                let model = new ModelInstance({name: 'John', tenant: 'acme'}, 123);
+
+                model.save(() => {});
+
+                expect(transaction.get.calledOnce).be.true;
+                expect(transaction.save.calledOnce).be.true;
+            });
+
+            it('should allocate an id to an entity without id', () => {
+                sinon.stub(ds, 'allocateIds', (key, n, cb) => cb(null, [ModelInstance.key(789)]));
+                let model = new ModelInstance({email: 'john@snow.com'});
+
+                model.save((err, entity) => {
+                    expect(entity.entityKey.id).equal(789);
+                    expect(entity.entityData[ds.KEY]).equal(entity.entityKey);
+                });
+
+                expect(transaction.save.getCall(0).args[0].data[0].value.id).equal(789);
+                ds.allocateIds.restore();
+            });
+
+            it('should check the values inside the transaction passed', () => {
+                lookups = [lookup('Blog:email:"john@snow.com"', 456)];
+                let model = new ModelInstance({email: 'john@snow.com'}, 123);
+
+                model.save(transaction, {}, (err) => {
+                    expect(err.name).equal('UniqueConstraintError');
+                });
+
+                expect(ds.transaction.called).be.false;
+                expect(transaction.rollback.called).be.false;
+            });
+
+            it('should check the values in update()', (done) => {
+                storedEntity = {email: 'john@north.com'};
+                storedEntity[ds.KEY] = ModelInstance.key(123);
+                lookups = [lookup('Blog:email:"john@snow.com"', 456)];
+
+                ModelInstance.update(123, {email: 'john@snow.com'}, (err) => {
+                    expect(err.name).equal('UniqueConstraintError');
+                    expect(transaction.rollback.called).be.true;
+                    done();
+                });
+            });
+        });
+    });
+
+    describe('saveMany()', () => {
+        let User;
+
+        beforeEach(() => {
+            User = Model.compile('User', new Schema({name: {type: 'string'}}, {timestamps: true}), gstore);
+        });
+
+        it('should save the entities of different Models in one call', (done) => {
+            let entities = [new ModelInstance({name: 'John'}), new User({name: 'Mick'})];
+
+            Model.saveMany(entities, (err, result, info) => {
+                expect(err).not.exist;
+                expect(result).equal(entities);
+                expect(info).deep.equal({op: 'save', chunks: 1});
+                expect(ds.save.calledOnce).be.true;
+                expect(ds.save.getCall(0).args[0].length).equal(2);
+                expect(ds.save.getCall(0).args[0][1].key).equal(entities[1].entityKey);
+                expect(entities[1].entityData.updatedAt).exist;
+                done();
+            });
+
+            clock.tick(20);
+        });
+
+        it('should save by chunks of 500 entities and emit "save" after each chunk', (done) => {
+            let entities = [];
+            for (let i = 0; i < 1200; i++) {
+                entities.push(new User({name: 'John'}));
+            }
+            let emitSpy = sinon.spy(entities[0], 'emit');
+            let lastEmitSpy = sinon.spy(entities[1100], 'emit');
+
+            User.saveMany(entities, {method: 'insert'}, (err, result, info) => {
+                expect(info.chunks).equal(3);
+                expect(ds.save.callCount).equal(3);
+                expect(ds.save.getCall(0).args[0].length).equal(500);
+                expect(ds.save.getCall(2).args[0].length).equal(200);
+                expect(ds.save.getCall(2).args[0][0].method).equal('insert');
+                expect(lastEmitSpy.calledWithExactly('save')).be.true;
+                done();
+            });
+
+            clock.tick(20);
+            expect(emitSpy.calledWithExactly('save')).be.true;
+            expect(lastEmitSpy.called).be.false;
+            clock.tick(40);
+        });
+
+        it('should execute the "pre" save hooks and not save anything if one fails', (done) => {
+            let spyPre = sinon.spy();
+            let schema = new Schema({name: {type: 'string'}});
+            schema.pre('save', function(next) {
+                spyPre(this);
+                next();
+            });
+            let Blog     = Model.compile('Blog', schema, gstore);
+            let entities = [new Blog({name: 'John'}), new Blog({name: 123})];
+
+            Model.saveMany(entities, (err) => {
+                expect(spyPre.calledWith(entities[0])).be.true;
+                expect(err.name).equal('ValidationError');
+                expect(ds.save.called).be.false;
+                done();
+            });
+        });
+
+        it('should return the Datastore error', (done) => {
+            ds.save.restore();
+            sinon.stub(ds, 'save', (entities, cb) => cb({code: 409, message: 'entity already exists: app: "s~my-project"'}));
+
+            User.saveMany([new User({name: 'John'}, 123)], {method: 'insert'}, (err) => {
+                expect(err.name).equal('AlreadyExistsError');
+                done();
+            });
+        });
+
+        it('should return an error for the entities with unique constraints', (done) => {
+            User = Model.compile('User', new Schema({email: {type: 'string', unique: true}}), gstore);
+
+            Model.saveMany([new ModelInstance({name: 'John'}), new User({email: 'john@snow.com'})], (err) => {
+                expect(err.code).equal(400);
+                expect(ds.save.called).be.false;
+                done();
+            });
+        });
+
+        it('should return an error for the entities with a versionKey', (done) => {
+            User = Model.compile('User', new Schema({name: {type: 'string'}}, {versionKey: '__v'}), gstore);
+
+            Model.saveMany([new User({name: 'John', __v: 0}, 5)], (err) => {
+                expect(err.code).equal(400);
+                expect(err.message).equal('User has a versionKey, its entities must be saved with save()');
+                expect(ds.save.called).be.false;
+                done();
+            });
+        });
+
+        it('should not call the Datastore without entities', (done) => {
+            User.saveMany([], (err, entities, info) => {
+                expect(entities).deep.equal([]);
+                expect(info.chunks).equal(0);
+                expect(ds.save.called).be.false;
+                done();
+            });
+        });
+    });
+
+    describe('validate()', () => {
+        it('properties passed ok', () => {
+            let model = new ModelInstance({name:'John', lastname:'Snow'});
+
+            let valid = model.validate();
+            expect(valid.success).be.true;
+        });
+
+        it('properties passed ko', () => {
+            let model = new ModelInstance({unknown:123});
+
+            let valid = model.validate();
+
+            expect(valid.success).be.false;
+        });
+
+        it('should remove virtuals', () => {
+            let model = new ModelInstance({fullname:'John Snow'});
+
+            let valid = model.validate();
+
+            expect(valid.success).be.true;
+            expect(model.entityData.fullname).not.exist;
+        });
+
+        it('accept unkwown properties', () => {
+            schema = new Schema({
+                name:     {type: 'string'},
+            }, {
+                explicitOnly : false
+            });
+            ModelInstance = Model.compile('Blog', schema, gstore);
+            let model = new ModelInstance({unknown:123});
+
+            let valid = model.validate();
 
             expect(valid.success).be.true;
         });
@@ -1918,5 +3396,322 @@ describe('Model', function() {
 
             expect(valid.success).be.false;
         });
+
+        it('--> entityKey', () => {
+            schema = new Schema({
+                author: {type: 'entityKey', ref: 'Author'},
+                editor: {type: 'entityKey', ref: 'Author', sameNamespace: true},
+                parent: {type: 'entityKey'}
+            });
+            ModelInstance = Model.compile('Blog', schema, gstore);
+
+            let valid = new ModelInstance({author: ds.key(['Author', 123]), parent: ds.key(['Other', 1])}).validate();
+            let valid2 = new ModelInstance({author: ds.key(['User', 123])}).validate();
+            let valid3 = new ModelInstance({parent: 'string'}).validate();
+            let valid4 = new ModelInstance({editor: ds.key({namespace: 'other', path: ['Author', 123]})}, null, null, 'com.mydomain').validate();
+            let valid5 = new ModelInstance({editor: ds.key({namespace: 'com.mydomain', path: ['Author', 123]})}, null, null, 'com.mydomain').validate();
+
+            expect(valid.success).be.true;
+            expect(valid2.success).be.false;
+            expect(valid3.success).be.false;
+            expect(valid4.success).be.false;
+            expect(valid5.success).be.true;
+        });
+
+        it('should key all the errors by property path with their code, rule and value', () => {
+            let model = new ModelInstance({unknown: 123, name: 123, birthday: '01-2015-01', type: 'other'});
+
+            let valid = model.validate();
+
+            expect(valid.errors.properties).not.exist;
+            expect(valid.errors.datetime).not.exist;
+            expect(valid.errors.unknown.code).equal('ERR_PROP_NOT_ALLOWED');
+            expect(valid.errors.unknown.rule).equal('notAllowed');
+            expect(valid.errors.name.code).equal('ERR_PROP_TYPE');
+            expect(valid.errors.name.value).equal(123);
+            expect(valid.errors.birthday.code).equal('ERR_PROP_TYPE');
+            expect(valid.errors.birthday.path).equal('birthday');
+            expect(valid.errors.type.code).equal('ERR_PROP_VALUES');
+            expect(valid.errors.type.value).equal('other');
+            Object.keys(valid.errors).forEach((k) => {
+                expect(valid.errors[k].name).equal('ValidatorError');
+            });
+        });
+
+        it('should only keep the first error of a property', () => {
+            schema = new Schema({name: {type: 'string', validate: 'isEmail'}});
+            ModelInstance = Model.compile('Blog', schema, gstore);
+
+            let valid = new ModelInstance({name: 123}).validate();
+
+            expect(valid.errors.name.rule).equal('type');
+        });
+
+        describe('range constraints', () => {
+            beforeEach(() => {
+                schema = new Schema({
+                    quantity: {type: 'int', min: 1, max: 99},
+                    price: {type: 'double', min: 0.5},
+                    username: {type: 'string', minLength: 3, maxLength: 10},
+                    sku: {type: 'string', match: /^SKU-\d+$/}
+                });
+                ModelInstance = Model.compile('Blog', schema, gstore);
+            });
+
+            it('should pass if values are in range', () => {
+                let valid = new ModelInstance({quantity: 99, price: ds.double(0.5), username: 'john', sku: 'SKU-123'}).validate();
+
+                expect(valid.success).be.true;
+            });
+
+            it('should validate min and max', () => {
+                let valid = new ModelInstance({quantity: 0, price: 0.2}).validate();
+                let valid2 = new ModelInstance({quantity: ds.int(100)}).validate();
+
+                expect(valid.errors.quantity.message.errorName).equal('Min');
+                expect(valid.errors.price.message.errorName).equal('Min');
+                expect(valid2.errors.quantity.message.errorName).equal('Max');
+            });
+
+            it('should validate minLength and maxLength', () => {
+                let valid = new ModelInstance({username: 'jo'}).validate();
+                let valid2 = new ModelInstance({username: 'john-the-snow'}).validate();
+
+                expect(valid.errors.username.message.errorName).equal('MinLength');
+                expect(valid2.errors.username.message.errorName).equal('MaxLength');
+            });
+
+            it('should validate match', () => {
+                let valid = new ModelInstance({sku: 'ABC-123'}).validate();
+
+                expect(valid.errors.sku.message.errorName).equal('Match');
+            });
+
+            it('should not validate empty values', () => {
+                let valid = new ModelInstance({quantity: null, username: ''}).validate();
+
+                expect(valid.success).be.true;
+            });
+        });
+
+        describe('custom validators', () => {
+            it('should accept a function', () => {
+                let spy = sinon.spy((value) => value.length > 3);
+                schema = new Schema({name: {validate: spy}});
+                ModelInstance = Model.compile('Blog', schema, gstore);
+                let model = new ModelInstance({name: 'John'});
+                let model2 = new ModelInstance({name: 'Jo'});
+
+                let valid = model.validate();
+                let valid2 = model2.validate();
+
+                expect(valid.success).be.true;
+                expect(valid2.success).be.false;
+                expect(spy.getCall(0).args[0]).equal('John');
+                expect(spy.getCall(0).args[1]).equal(model.entityData);
+            });
+
+            it('should accept a validator.js rule with arguments', () => {
+                schema = new Schema({name: {validate: {rule: 'isLength', args: [{min: 3, max: 30}]}}});
+                ModelInstance = Model.compile('Blog', schema, gstore);
+                let model = new ModelInstance({name: 'John'});
+                let model2 = new ModelInstance({name: 'Jo'});
+
+                let valid = model.validate();
+                let valid2 = model2.validate();
+
+                expect(valid.success).be.true;
+                expect(valid2.success).be.false;
+            });
+
+            it('should accept an array of rules, each with its own message', () => {
+                schema = new Schema({sku: {validate: [
+                    {rule: 'isLength', args: [{min: 6}], message: 'Too short'},
+                    {rule: 'matches', args: [/^SKU-/], message: 'Wrong SKU'},
+                    'isUppercase'
+                ]}});
+                ModelInstance = Model.compile('Blog', schema, gstore);
+
+                let valid = new ModelInstance({sku: 'SKU'}).validate();
+                let valid2 = new ModelInstance({sku: 'ABC-123'}).validate();
+                let valid3 = new ModelInstance({sku: 'SKU-12a'}).validate();
+                let valid4 = new ModelInstance({sku: 'SKU-123'}).validate();
+
+                expect(valid.errors.sku.message.message).equal('Too short');
+                expect(valid2.errors.sku.message.message).equal('Wrong SKU');
+                expect(valid3.errors.sku.message.message).equal('Wrong format for property {sku}');
+                expect(valid4.success).be.true;
+            });
+
+            it('should pass the args to a function rule', () => {
+                schema = new Schema({age: {validate: {rule: (value, entityData, min) => value >= min, args: [18]}}});
+                ModelInstance = Model.compile('Blog', schema, gstore);
+
+                let valid = new ModelInstance({age: 17}).validate();
+                let valid2 = new ModelInstance({age: 18}).validate();
+
+                expect(valid.success).be.false;
+                expect(valid2.success).be.true;
+            });
+
+            it('should throw an error if the validator does not exist', () => {
+                schema = new Schema({name: {validate: 'isUnknown'}});
+                ModelInstance = Model.compile('Blog', schema, gstore);
+                let model = new ModelInstance({name: 'John'});
+
+                let fn = () => model.validate();
+
+                expect(fn).to.throw(Error);
+            });
+        });
+
+        describe('array items', () => {
+            beforeEach(() => {
+                schema = new Schema({
+                    tags: {type: 'array', items: {type: 'string', values: ['a', 'b', 'c']}, minItems: 1, maxItems: 3, unique: true},
+                    emails: {type: 'array', items: {validate: 'isEmail'}},
+                    scores: {type: 'array', items: {type: 'int', required: true}},
+                    addresses: {type: 'array', items: {type: {zip: {type: 'string', required: true}}}}
+                });
+                ModelInstance = Model.compile('Blog', schema, gstore);
+            });
+
+            it('should validate each item', () => {
+                let model = new ModelInstance({tags: ['a', 'b'], emails: ['john@snow.com'], scores: [1, 2], addresses: [{zip: 'W1'}]});
+
+                let valid = model.validate();
+
+                expect(valid.success).be.true;
+            });
+
+            it('should set errors with the index of the item', () => {
+                let model = new ModelInstance({
+                    tags: ['a', 'd'],
+                    emails: ['john@snow.com', 'john@snow'],
+                    scores: [1, 'two', null],
+                    addresses: [{zip: 'W1'}, {}]
+                });
+
+                let valid = model.validate();
+
+                expect(valid.success).be.false;
+                expect(valid.errors['tags[1]']).exist;
+                expect(valid.errors['emails[1]'].message.errorName).equal('Wrong format');
+                expect(valid.errors['scores[1]']).exist;
+                expect(valid.errors['scores[2]'].message.errorName).equal('Required');
+                expect(valid.errors['addresses[1].zip']).exist;
+                expect(valid.errors['tags[0]']).not.exist;
+            });
+
+            it('should validate minItems', () => {
+                let model = new ModelInstance({tags: []});
+
+                let valid = model.validate();
+
+                expect(valid.errors.tags.message.errorName).equal('MinItems');
+            });
+
+            it('should validate maxItems', () => {
+                schema.paths.tags.unique = false;
+                let model = new ModelInstance({tags: ['a', 'b', 'c', 'a']});
+
+                let valid = model.validate();
+
+                expect(valid.errors.tags.message.errorName).equal('MaxItems');
+            });
+
+            it('should validate unique items', () => {
+                let model = new ModelInstance({tags: ['a', 'b', 'a']});
+
+                let valid = model.validate();
+
+                expect(valid.success).be.false;
+                expect(valid.errors.tags.message.errorName).equal('Unique');
+            });
+        });
+
+        describe('embedded entities', () => {
+            beforeEach(() => {
+                schema = new Schema({
+                    name: {type: 'string'},
+                    address: {type: new Schema({
+                        street: {type: 'string'},
+                        zip: {type: 'string', required: true},
+                        email: {validate: 'isEmail'},
+                        type: {values: ['home', 'work']},
+                        geo: {type: {
+                            lat: {type: 'double'}
+                        }}
+                    })}
+                });
+                ModelInstance = Model.compile('Blog', schema, gstore);
+            });
+
+            it('should validate embedded properties', () => {
+                let model = new ModelInstance({address: {street: 'Baker street', zip: 'W1'}});
+
+                let valid = model.validate();
+
+                expect(valid.success).be.true;
+            });
+
+            it('should validate embedded type', () => {
+                let model = new ModelInstance({address: 'Baker street'});
+                let model2 = new ModelInstance({address: [{zip: 'W1'}]});
+
+                let valid = model.validate();
+                let valid2 = model2.validate();
+
+                expect(valid.success).be.false;
+                expect(valid.errors.address).exist;
+                expect(valid2.success).be.false;
+            });
+
+            it('should set errors with the dotted path', () => {
+                let model = new ModelInstance({address: {
+                    street: 123,
+                    zip: 'W1',
+                    email: 'john@snow',
+                    geo: {lat: 'abc'}
+                }});
+
+                let valid = model.validate();
+
+                expect(valid.success).be.false;
+                expect(valid.errors['address.street']).exist;
+                expect(valid.errors['address.email']).exist;
+                expect(valid.errors['address.geo.lat']).exist;
+            });
+
+            it('should validate required embedded properties', () => {
+                let model = new ModelInstance({address: {street: 'Baker street', zip: ''}});
+                model.entityData.address = {street: 'Baker street'};
+
+                let valid = model.validate();
+
+                expect(valid.success).be.false;
+                expect(valid.errors['address.zip'].message.errorName).equal('Required');
+            });
+
+            it('should validate embedded preset values', () => {
+                let model = new ModelInstance({address: {zip: 'W1', type: 'other'}});
+                let model2 = new ModelInstance({address: {zip: 'W1'}});
+
+                let valid = model.validate();
+                let valid2 = model2.validate();
+
+                expect(valid.success).be.false;
+                expect(valid.errors['address.type']).exist;
+                expect(valid2.success).be.true;
+            });
+
+            it('should not allow unknown embedded properties', () => {
+                let model = new ModelInstance({address: {zip: 'W1', unknown: 123}});
+
+                let valid = model.validate();
+
+                expect(valid.success).be.false;
+            });
+        });
     });
 });
@@ -0,0 +1,193 @@
+'use strict';
+
+const chai   = require('chai');
+const expect = chai.expect;
+const sinon  = require('sinon');
+
+const ds = require('./mocks/datastore')({
+    namespace : 'com.mydomain'
+});
+
+const gstore       = require('../');
+const Schema       = require('../lib').Schema;
+const QueryBuilder = require('../lib/queryBuilder');
+
+describe('QueryBuilder', () => {
+    let User;
+    let mockEntities;
+
+    beforeEach(() => {
+        gstore.models       = {};
+        gstore.modelSchemas = {};
+        gstore.options      = {};
+        gstore.connect(ds);
+
+        User = gstore.model('User', new Schema({
+            name      : {type: 'string'},
+            age       : {type: 'int'},
+            status    : {type: 'string'},
+            createdOn : {type: 'datetime'},
+            address   : {type: 'object'},
+            password  : {read: false}
+        }));
+
+        mockEntities = [{name: 'John', password: 'xxx'}];
+        mockEntities[0][ds.KEY] = ds.key(['User', 123]);
+
+        sinon.stub(ds, 'runQuery', function() {
+            const cb = arguments[arguments.length - 1];
+            cb(null, mockEntities, {moreResults: ds.MORE_RESULTS_AFTER_LIMIT, endCursor: 'abcdef'});
+        });
+    });
+
+    afterEach(() => {
+        ds.runQuery.restore();
+    });
+
+    function runQuery() {
+        return ds.runQuery.getCall(0).args[0];
+    }
+
+    it('should be returned by Model.find()', () => {
+        expect(User.find()).instanceOf(QueryBuilder);
+    });
+
+    it('should add the filters', () => {
+        return User.find({name: 'John'})
+            .where('age').gt(18).lte(65)
+            .where('status').eq('active')
+            .where('createdOn', '<', 'yesterday')
+            .where('address.city', 'Paris')
+            .exec()
+            .then(() => {
+                expect(runQuery().filters).deep.equal([
+                    {name: 'name', op: '=', val: 'John'},
+                    {name: 'age', op: '>', val: 18},
+                    {name: 'age', op: '<=', val: 65},
+                    {name: 'status', op: '=', val: 'active'},
+                    {name: 'createdOn', op: '<', val: 'yesterday'},
+                    {name: 'address.city', op: '=', val: 'Paris'}
+                ]);
+            });
+    });
+
+    it('should set the order, select, limit, start, ancestors and namespace', () => {
+        return User.find()
+            .sort('-createdOn name')
+            .sort({age: -1})
+            .select(['name', 'age'])
+            .limit(20)
+            .start('cursor')
+            .ancestors(['Company', 'acme'])
+            .namespace('ns')
+            .exec()
+            .then(() => {
+                const query = runQuery();
+
+                expect(query.orders).deep.equal([
+                    {name: 'createdOn', sign: '-'},
+                    {name: 'name', sign: '+'},
+                    {name: 'age', sign: '-'}
+                ]);
+                expect(query.selectVal).deep.equal(['name', 'age']);
+                expect(query.limitVal).equal(20);
+                expect(query.startVal).equal('cursor');
+                expect(query.filters[0].name).equal('__key__');
+                expect(query.filters[0].op).equal('HAS_ANCESTOR');
+                expect(query.namespace).equal('ns');
+            });
+    });
+
+    it('should resolve with the entities and the next page cursor', () => {
+        return User.find().then((response) => {
+            expect(response.entities).deep.equal([{name: 'John', id: 123}]);
+            expect(response.nextPageCursor).equal('abcdef');
+        });
+    });
+
+    it('should accept a callback in exec()', (done) => {
+        User.find().setOptions({readAll: true}).exec((err, response) => {
+            expect(err).not.exist;
+            expect(response.entities[0].password).equal('xxx');
+            done();
+        });
+    });
+
+    it('should return an error for the properties not declared in the Schema', () => {
+        return User.find().where('unknown', 1).sort('-other').then(() => {
+            throw new Error('should have failed');
+        }, (err) => {
+            expect(err.code).equal(400);
+            expect(err.message).equal('Property {unknown} is not declared in User Schema, Property {other} is not declared in User Schema');
+            expect(ds.runQuery.called).be.false;
+        });
+    });
+
+    it('should allow any property if the Schema is not explicitOnly', () => {
+        const Blog = gstore.model('Blog', new Schema({}, {explicitOnly: false}));
+
+        return Blog.find().where('unknown', 1).exec();
+    });
+
+    it('should accept operators in the filters object', () => {
+        return User.find({age: {$gte: 18}}).where({status: 'active'}).exec().then(() => {
+            expect(runQuery().filters).deep.equal([
+                {name: 'age', op: '>=', val: 18},
+                {name: 'status', op: '=', val: 'active'}
+            ]);
+
+            return User.find({age: {$ne: 18}}).exec();
+        }).then(() => {
+            throw new Error('should have failed');
+        }, (err) => {
+            expect(err.code).equal(400);
+            expect(err.message).equal('Unknown operator $ne {age}');
+        });
+    });
+
+    it('should throw an error if an operator is called without where()', () => {
+        const fn = () => User.find().gt(18);
+
+        expect(fn).throw('where() must be called before gt()');
+    });
+
+    it('should exclude the soft deleted entities', () => {
+        const Blog = gstore.model('Blog', new Schema({title: {}}, {softDelete: true}));
+
+        return Blog.find().exec()
+            .then(() => Blog.find().setOptions({withDeleted: true}).exec())
+            .then(() => {
+                expect(ds.runQuery.getCall(0).args[0].filters).deep.equal([{name: 'deletedAt', op: '=', val: null}]);
+                expect(ds.runQuery.getCall(1).args[0].filters).deep.equal([]);
+            });
+    });
+
+    it('should stream the entities of the query', (done) => {
+        ds.runQuery.restore();
+        sinon.stub(ds, 'runQuery', (query, cb) => cb(null, [], {moreResults: ds.NO_MORE_RESULTS}));
+
+        User.find().where('age').gt(18).stream()
+            .on('end', () => {
+                expect(runQuery().filters).deep.equal([{name: 'age', op: '>', val: 18}]);
+                done();
+            })
+            .resume();
+    });
+
+    it('should emit an error on the stream for the properties not declared in the Schema', (done) => {
+        User.find().where('unknown', 1).stream().on('error', (err) => {
+            expect(err.code).equal(400);
+            expect(ds.runQuery.called).be.false;
+            done();
+        });
+    });
+
+    it('should return the query error', () => {
+        ds.runQuery.restore();
+        sinon.stub(ds, 'runQuery', (query, cb) => cb({code: 500, message: 'Server error'}));
+
+        return User.find().catch((err) => {
+            expect(err.code).equal(500);
+        });
+    });
+});
@@ -1,7 +1,9 @@
 /*jshint -W030 */
 var chai       = require('chai');
 var expect     = chai.expect;
+var sinon      = require('sinon');
 
+var gstore = require('../lib');
 var Schema = require('../lib').Schema;
 
 describe('Schema', () => {
@@ -19,7 +21,8 @@ describe('Schema', () => {
             expect(schema.s.hooks.constructor.name).to.equal('Kareem');
             expect(schema.options).to.exist;
             expect(schema.options.queries).deep.equal({
-                readAll : false
+                readAll : false,
+                format  : 'JSON'
             });
         });
 
@@ -51,6 +54,24 @@ describe('Schema', () => {
         //     expect(schema.paths.name.type).equal('string');
         // });
 
+        it ('should convert inline path definitions "type" to embedded Schema', () => {
+            let schema = new Schema({
+                address: {type: {street: {type: 'string'}, zip: {type: 'string'}}}
+            });
+
+            expect(schema.paths.address.type.instanceOfSchema).be.true;
+            expect(schema.paths.address.type.paths.zip).deep.equal({type: 'string'});
+        });
+
+        it ('should keep embedded Schema passed as "type"', () => {
+            let addressSchema = new Schema({street: {type: 'string'}});
+            let schema = new Schema({
+                address: {type: addressSchema}
+            });
+
+            expect(schema.paths.address.type).equal(addressSchema);
+        });
+
         it ('should not allowed reserved properties on schema', function() {
             let fn = () => {
                 let schema = new Schema({ds:123});
@@ -134,6 +155,13 @@ describe('Schema', () => {
             expect(schema.paths.keyname).to.exist;
         });
 
+        it ('should convert inline path definitions "type" when setting', () => {
+            let schema = new Schema({});
+            schema.path('address', {type: {zip: {type: 'string'}}});
+
+            expect(schema.paths.address.type.instanceOfSchema).be.true;
+        });
+
         it ('should not allow to set reserved key', function() {
             let schema = new Schema({});
 
@@ -145,6 +173,174 @@ describe('Schema', () => {
         });
     });
 
+    describe('composition', () => {
+        let base;
+
+        beforeEach(() => {
+            base = new Schema({
+                createdBy: {type: 'string'},
+                createdOn: {type: 'datetime'},
+                address: {type: {zip: {type: 'string'}}}
+            }, {explicitOnly: false});
+            base.method('doSomething', () => {});
+            base.statics.findByOwner = () => {};
+            base.virtual('fullname').get(() => 'John Snow');
+            base.queries('list', {limit: 10});
+            base.pre('save', (next) => next());
+            base.pre('delete', (next) => next());
+        });
+
+        it('add() should add the paths', () => {
+            base.add({name: {type: 'string'}, geo: {type: {lat: {type: 'double'}}}});
+
+            expect(base.paths.name).deep.equal({type: 'string'});
+            expect(base.paths.geo.type.instanceOfSchema).be.true;
+        });
+
+        it('add() should not allow reserved paths', () => {
+            let fn = () => base.add({ds: {}});
+
+            expect(fn).to.throw(Error);
+        });
+
+        it('clone() should copy the paths, methods, statics, virtuals and queries', () => {
+            let schema = base.clone();
+
+            expect(schema).not.equal(base);
+            expect(schema.paths.createdBy).deep.equal(base.paths.createdBy);
+            expect(schema.paths.createdBy).not.equal(base.paths.createdBy);
+            expect(schema.paths.address.type).not.equal(base.paths.address.type);
+            expect(schema.paths.address.type.paths.zip).deep.equal({type: 'string'});
+            expect(schema.methods.doSomething).equal(base.methods.doSomething);
+            expect(schema.statics.findByOwner).equal(base.statics.findByOwner);
+            expect(schema.virtuals.fullname).not.equal(base.virtuals.fullname);
+            expect(schema.virtuals.fullname.getter).equal(base.virtuals.fullname.getter);
+            expect(schema.shortcutQueries.list).deep.equal({limit: 10});
+            expect(schema.options.explicitOnly).be.false;
+        });
+
+        it('clone() should copy the hooks', () => {
+            let schema = base.clone();
+            schema.pre('save', (next) => next());
+            schema.pre('delete', (next) => next());
+
+            expect(base.callQueue.length).equal(2);
+            expect(schema.callQueue.length).equal(3);
+            expect(base.s.hooks._pres.delete.length).equal(1);
+            expect(schema.s.hooks._pres.delete.length).equal(2);
+        });
+
+        it('Schema.extend() should create a new Schema from the base', () => {
+            let schema = Schema.extend(base, {title: {type: 'string'}}, {validateBeforeSave: false});
+
+            expect(Object.keys(schema.paths)).deep.equal(['createdBy', 'createdOn', 'address', 'title']);
+            expect(base.paths.title).not.exist;
+            expect(schema.options.validateBeforeSave).be.false;
+            expect(schema.options.explicitOnly).be.false;
+            expect(base.options.validateBeforeSave).be.true;
+            expect(schema.methods.doSomething).exist;
+        });
+
+        it('pick() should only keep the paths passed', () => {
+            let schema = base.pick(['createdBy', 'address']);
+
+            expect(Object.keys(schema.paths)).deep.equal(['createdBy', 'address']);
+            expect(Object.keys(base.paths).length).equal(3);
+            expect(schema.methods.doSomething).exist;
+        });
+
+        it('omit() should remove the paths passed', () => {
+            let schema = base.omit('createdOn');
+
+            expect(Object.keys(schema.paths)).deep.equal(['createdBy', 'address']);
+            expect(base.paths.createdOn).exist;
+        });
+    });
+
+    describe('plugin()', () => {
+        it('should call the plugin with the schema and options', () => {
+            let schema  = new Schema({});
+            let options = {index: true};
+            let plugin  = sinon.spy((schema) => {
+                schema.add({deletedAt: {type: 'datetime'}});
+                schema.pre('save', (next) => next());
+            });
+
+            let result = schema.plugin(plugin, options);
+
+            expect(result).equal(schema);
+            expect(plugin.calledWithExactly(schema, options)).be.true;
+            expect(schema.paths.deletedAt).exist;
+            expect(schema.callQueue.length).equal(2);
+        });
+
+        it('should not apply the same plugin twice', () => {
+            let schema = new Schema({});
+            let plugin = sinon.spy();
+
+            schema.plugin(plugin);
+            schema.plugin(plugin);
+
+            expect(plugin.calledOnce).be.true;
+        });
+
+        it('should throw an error if plugin is not a function', () => {
+            let schema = new Schema({});
+
+            expect(() => schema.plugin({})).to.throw(Error);
+        });
+    });
+
+    describe('toJSONSchema()', () => {
+        it('should convert the paths to a JSON Schema document', () => {
+            let schema = new Schema({
+                name: {type: 'string', required: true, minLength: 2, maxLength: 30, match: /^[a-z]+$/},
+                age: {type: 'int', min: 18, max: 99},
+                price: {type: 'double', write: false},
+                password: {type: 'string', read: false},
+                status: {values: ['draft', 'published'], default: 'draft'},
+                createdOn: {type: 'datetime', default: gstore.defaultValues.NOW},
+                tags: {type: 'array', items: {type: 'string'}, minItems: 1, unique: true},
+                address: {type: {zip: {type: 'string', required: true}}},
+                location: {type: 'geoPoint', required: true},
+                misc: {}
+            });
+
+            let jsonSchema = schema.toJSONSchema();
+
+            expect(jsonSchema.$schema).equal('http://json-schema.org/draft-07/schema#');
+            expect(jsonSchema.type).equal('object');
+            expect(jsonSchema.required).deep.equal(['name', 'location']);
+            expect(jsonSchema.additionalProperties).be.false;
+            expect(jsonSchema.properties.name).deep.equal({type: 'string', minLength: 2, maxLength: 30, pattern: '^[a-z]+$'});
+            expect(jsonSchema.properties.age).deep.equal({type: ['integer', 'null'], minimum: 18, maximum: 99});
+            expect(jsonSchema.properties.price).deep.equal({type: ['number', 'null'], readOnly: true});
+            expect(jsonSchema.properties.password.writeOnly).be.true;
+            expect(jsonSchema.properties.status).deep.equal({enum: ['draft', 'published'], default: 'draft'});
+            expect(jsonSchema.properties.createdOn).deep.equal({type: ['string', 'null'], format: 'date-time'});
+            expect(jsonSchema.properties.tags).deep.equal({
+                type: ['array', 'null'],
+                items: {type: ['string', 'null']},
+                minItems: 1,
+                uniqueItems: true
+            });
+            expect(jsonSchema.properties.address).deep.equal({
+                type: ['object', 'null'],
+                properties: {zip: {type: 'string'}},
+                required: ['zip'],
+                additionalProperties: false
+            });
+            expect(jsonSchema.properties.location.required).deep.equal(['latitude', 'longitude']);
+            expect(jsonSchema.properties.misc).deep.equal({});
+        });
+
+        it('should allow additional properties if not explicitOnly', () => {
+            let schema = new Schema({}, {explicitOnly: false});
+
+            expect(schema.toJSONSchema().additionalProperties).be.true;
+        });
+    });
+
     describe('callQueue', () => {
         it('should add pre hooks to callQueue', () => {
             let schema = new Schema({});
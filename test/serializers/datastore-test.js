@@ -61,6 +61,26 @@ describe('Datastore serializer', () => {
             expect(serialized.email).not.exist;
         });
 
+        it('and remove embedded properties where "read" is set to false', () => {
+            gstore.models       = {};
+            gstore.modelSchemas = {};
+            ModelInstance = gstore.model('Blog', new Schema({
+                address: {type: {
+                    street: {type: 'string'},
+                    code: {type: 'string', read: false}
+                }}
+            }), {});
+            let address = {street: 'Baker street', code: 'abc'};
+            datastoreMock.address = address;
+
+            let serialized = datastoreSerializer.fromDatastore.call(ModelInstance, datastoreMock);
+            let serialized2 = datastoreSerializer.fromDatastore.call(ModelInstance, datastoreMock, true);
+
+            expect(serialized.address).deep.equal({street: 'Baker street'});
+            expect(address.code).equal('abc');
+            expect(serialized2.address.code).equal('abc');
+        });
+
         it('accepting "readAll" param', () => {
             var serialized = datastoreSerializer.fromDatastore.call(ModelInstance, datastoreMock, true);
 